@@ -1,5 +1,16 @@
 "use strict";
 
+const PriceOptimizer = require("./PriceOptimizer");
+const TimeParser = require("./TimeParser");
+const EnergyMeter = require("./EnergyMeter");
+const RunHistory = require("./RunHistory");
+const PowerSignature = require("./PowerSignature");
+const RunEstimate = require("./RunEstimate");
+const OperatingWindows = require("./OperatingWindows");
+const { TodoistTasks } = require("./TodoistTasks");
+const DeviceStatus = require("./DeviceStatus");
+const PersistentTimers = require("./PersistentTimers");
+
 // Base Device Class
 class BaseDevice {
     constructor(adapter, config) {
@@ -15,6 +26,36 @@ class BaseDevice {
         // Generic scheduling support flag (must be enabled by derived class or config)
         this.genericScheduling = !!config.genericScheduling; // derived class can override to true
         this._scheduledTimer = null; // internal timer reference for generic scheduling
+
+        // Energie-/Kostenerfassung des laufenden Zyklus
+        this.energyMeter = new EnergyMeter();
+
+        // Leistungskurve des aktuellen Laufs für die Programmerkennung
+        this.curveRecorder = new PowerSignature.CurveRecorder();
+        this._detectedMinutes = 0;
+
+        // Kontext des aktuellen Laufs für die Historie (geplant/manuell, Programm, Planstart)
+        this._pendingScheduledStart = null;
+        this._runContext = null;
+
+        // Ausräum-Erinnerungen nach Laufende
+        this._reminderCount = 0;
+
+        // Timer, die einen Neustart überstehen (State timers, siehe setPersistentTimer)
+        this.persistentTimers = new PersistentTimers(this);
+
+        // ToDoist-Aufgaben aus Vorlagen
+        this.todoist = new TodoistTasks(this);
+
+        // Betriebszeiten: erlaubte Fenster und Sperrzeiten (ungültige Einträge werden ignoriert)
+        const allowed = OperatingWindows.parseWindows(config.allowedWindows);
+        const forbidden = OperatingWindows.parseWindows(config.forbiddenWindows);
+        this.operatingWindows = { allowed: allowed.windows, forbidden: forbidden.windows };
+        const invalidWindows = [...allowed.invalid, ...forbidden.invalid];
+        if (invalidWindows.length > 0) adapter.log.warn(`${this.name}: Ignoring invalid operating windows: ${invalidWindows.join("; ")}`);
+
+        // Aktueller Status (siehe DeviceStatus), wird in init() aus den States abgeleitet
+        this.status = null;
     }
 
     // Helpers to build object paths under devices.<types>.<id>
@@ -50,6 +91,15 @@ class BaseDevice {
 
         // Initialize device states
         await this.initializeStates();
+
+        // Status nach dem Neustart aus running / scheduled / unloaded ableiten (Timer sind verloren)
+        const stored = await this.getStateAsync("status");
+        this.status = stored?.val && DeviceStatus.isStatus(stored.val) ? stored.val : null;
+        await this.setStatus(await this.restingStatus(), "adapter start", { force: true });
+
+        // Timer aus dem State timers wieder scharf schalten und Lauf mit der aktuellen Leistung abgleichen
+        await this.persistentTimers.restore();
+        await this.reconcileAfterRestart();
     }
 
     async createObjects() {
@@ -99,6 +149,249 @@ class BaseDevice {
                     write: true,
                     def: ""
                 }
+            },
+            {
+                id: "avgPrice",
+                common: {
+                    name: "Average price for scheduled run (ct/kWh)",
+                    type: "number",
+                    role: "value",
+                    unit: "ct/kWh",
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "lastRunEnergy",
+                common: {
+                    name: "Energy of last run",
+                    type: "number",
+                    role: "value.energy",
+                    unit: "kWh",
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "lastRunCost",
+                common: {
+                    name: "Cost of last run (actual prices)",
+                    type: "number",
+                    role: "value",
+                    unit: "€",
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "lastRunAvgPrice",
+                common: {
+                    name: "Average price actually paid in last run (ct/kWh)",
+                    type: "number",
+                    role: "value",
+                    unit: "ct/kWh",
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "history",
+                common: {
+                    name: "Run history (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: "[]"
+                }
+            },
+            {
+                id: "statistics",
+                common: {
+                    name: "Run statistics per program and month (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: "{}"
+                }
+            },
+            {
+                id: "plan",
+                common: {
+                    name: "Last computed plan (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: ""
+                }
+            },
+            {
+                id: "detectedProgram",
+                common: {
+                    name: "Program detected from the power curve",
+                    type: "string",
+                    role: "text",
+                    read: true,
+                    write: false,
+                    def: ""
+                }
+            },
+            {
+                id: "detectedConfidence",
+                common: {
+                    name: "Confidence of the detected program",
+                    type: "number",
+                    role: "value",
+                    unit: "%",
+                    min: 0,
+                    max: 100,
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "signatures",
+                common: {
+                    name: "Learned power signatures per program (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: "{}"
+                }
+            },
+            {
+                id: "todoistTasks",
+                common: {
+                    name: "Open ToDoist task IDs per template (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: "{}"
+                }
+            },
+            {
+                id: "timers",
+                common: {
+                    name: "Pending device timers for restore after restart (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: "[]"
+                }
+            },
+            {
+                id: "runContext",
+                common: {
+                    name: "Context of the current run for restore after restart (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: ""
+                }
+            },
+            {
+                id: "unloaded",
+                common: {
+                    name: "Unloaded after last run (door opened or confirmed)",
+                    type: "boolean",
+                    role: "indicator",
+                    read: true,
+                    write: true,
+                    def: true
+                }
+            },
+            {
+                id: "proposed",
+                common: {
+                    name: "Plan proposed, waiting for confirmation",
+                    type: "boolean",
+                    role: "indicator",
+                    read: true,
+                    write: false,
+                    def: false
+                }
+            },
+            {
+                id: "remainingMinutes",
+                common: {
+                    name: "Estimated remaining runtime",
+                    type: "number",
+                    role: "value",
+                    unit: "min",
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "estimatedEnd",
+                common: {
+                    name: "Estimated end of the current run",
+                    type: "string",
+                    role: "value.datetime",
+                    read: true,
+                    write: false,
+                    def: ""
+                }
+            },
+            {
+                id: "progressPercent",
+                common: {
+                    name: "Progress of the current run",
+                    type: "number",
+                    role: "value",
+                    unit: "%",
+                    min: 0,
+                    max: 100,
+                    read: true,
+                    write: false,
+                    def: 0
+                }
+            },
+            {
+                id: "status",
+                common: {
+                    name: "Device status",
+                    type: "string",
+                    role: "text",
+                    read: true,
+                    write: false,
+                    def: "idle",
+                    states: Object.fromEntries(DeviceStatus.STATUSES.map(s => [s, s]))
+                }
+            },
+            {
+                id: "statusSince",
+                common: {
+                    name: "Time of the last status change",
+                    type: "string",
+                    role: "value.datetime",
+                    read: true,
+                    write: false,
+                    def: ""
+                }
+            },
+            {
+                id: "statusHistory",
+                common: {
+                    name: "Last status transitions (JSON)",
+                    type: "string",
+                    role: "json",
+                    read: true,
+                    write: false,
+                    def: "[]"
+                }
             }
         ];
 
@@ -131,6 +424,12 @@ class BaseDevice {
             this.subscriptions.push(this.config.switchStateId);
         }
 
+        // Tür-Kontakt für die Ausräum-Erkennung
+        if (this.config.doorStateId) {
+            await this.adapter.subscribeForeignStatesAsync(this.config.doorStateId);
+            this.subscriptions.push(this.config.doorStateId);
+        }
+
         // Subscribe to own states
         await this.adapter.subscribeStatesAsync(`${this.channelId()}.*`);
     }
@@ -145,6 +444,11 @@ class BaseDevice {
         await this.restoreScheduledOperations();
     }
 
+    // Weiter entfernte gespeicherte Starts gelten nach einem Neustart als unplausibel (Adapter-Einstellung)
+    get planningHorizonHours() {
+        return Number(this.adapter.config.planningHorizonHours) > 0 ? Number(this.adapter.config.planningHorizonHours) : 168;
+    }
+
     async restoreScheduledOperations() {
         if (!this.genericScheduling) return; // only if enabled
         try {
@@ -161,17 +465,19 @@ class BaseDevice {
                 } else if (delay <= 0) {
                     this.adapter.log.info(`${this.name}: Stored start time already passed -> executing now`);
                     await this._executeScheduledStart();
-                } else if (delay > 48 * 60 * 60 * 1000) { // >48h plausibility check
-                    this.adapter.log.warn(`${this.name}: Stored start time more than 48h away -> cancelling`);
+                } else if (delay > this.planningHorizonHours * 60 * 60 * 1000) { // Plausibilitätsprüfung
+                    this.adapter.log.warn(`${this.name}: Stored start time more than ${this.planningHorizonHours}h away -> cancelling`);
                     await this.cancelScheduledStart();
                 } else {
                     this.adapter.log.info(`${this.name}: Restoring scheduled start in ${Math.round(delay/60000)} minutes (${startTime.toLocaleString()})`);
                     this._setScheduledTimer(delay);
+                    await this.setStatus("planned", "schedule restored");
                 }
             }
         } catch (e) {
             this.adapter.log.warn(`${this.name}: Failed to restore scheduling: ${e.message}`);
         }
+        await this.restoreProposedPlan();
     }
 
     handlesState(stateId) {
@@ -180,6 +486,16 @@ class BaseDevice {
     }
 
     async onStateChange(id, state) {
+        if (id === this.config.doorStateId) {
+            if (state) await this.handleDoorChange(state.val);
+            return;
+        }
+        if (state && !state.ack && id.endsWith(`${this.channelId()}.unloaded`)) {
+            // Manuelle Bestätigung ohne Tür-Kontakt
+            if (state.val === true) await this.markUnloaded("manual");
+            else await this.setStateAsync("unloaded", (await this.getStateAsync("unloaded"))?.val === true, true);
+            return;
+        }
         // Base generic scheduling reactions (only if enabled)
         if (this.genericScheduling && state) {
             const isStartTime = id.endsWith(`${this.channelId()}.startTime`);
@@ -220,6 +536,7 @@ class BaseDevice {
         await this.setStateAsync(`startTime`, date.toISOString(), true);
         const scheduledState = await this.getStateAsync(`scheduled`);
         if (scheduledState?.val === true) {
+            this.warnIfBlocked(date);
             // Neu planen mit diesem Zeitpunkt
             const delay = date.getTime() - Date.now();
             if (delay <= 0) {
@@ -227,6 +544,7 @@ class BaseDevice {
             } else {
                 this.adapter.log.info(`${this.name}: Manual startTime updated -> rescheduling (${Math.round(delay/60000)} min)`);
                 this._setScheduledTimer(delay);
+                await this.setStatus("planned", "manual start time");
             }
         } else {
             this.adapter.log.info(`${this.name}: Manual startTime stored (not scheduled yet)`);
@@ -253,8 +571,10 @@ class BaseDevice {
             if (delay <= 0) {
                 await this._executeScheduledStart();
             } else {
+                this.warnIfBlocked(date);
                 this.adapter.log.info(`${this.name}: Scheduling enabled manually (${Math.round(delay/60000)} min)`);
                 this._setScheduledTimer(delay);
+                await this.setStatus("planned", "scheduling enabled manually");
             }
         } else if (val === false) {
             // Manuelles Abschalten
@@ -262,6 +582,22 @@ class BaseDevice {
         }
     }
 
+    // Letzten Plan als JSON persistieren (Date-Werte werden zu ISO-Strings)
+    async storePlan(plan) {
+        await this.setStateAsync(`plan`, plan ? JSON.stringify(plan) : "", true);
+    }
+
+    async getStoredPlan() {
+        const state = await this.getStateAsync(`plan`);
+        if (!state || !state.val) return null;
+        try {
+            return JSON.parse(state.val);
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Stored plan is not valid JSON: ${e.message}`);
+            return null;
+        }
+    }
+
     async startMonitoring() {
         // Start device-specific monitoring - override in derived classes
         this.adapter.log.info(`Started monitoring device: ${this.name}`);
@@ -271,13 +607,1277 @@ class BaseDevice {
         // Cleanup - override in derived classes
         this.adapter.log.info(`Stopped device: ${this.name}`);
         this._clearScheduledTimer();
+        this.adapter.clearApplianceTimer(`${this.id}_pv`);
+        this.adapter.clearApplianceTimer(`${this.id}_confirm`);
+        this.adapter.clearApplianceTimer(`${this.id}_unload`);
+        this.adapter.clearApplianceTimer(`${this.id}_eta`);
+        this.adapter.clearApplianceTimer(`${this.id}_verify`);
+    }
+
+    // =========== Abfragen (listDevices / getStatus) ========================
+
+    /**
+     * Fähigkeiten für listDevices – Unterklassen ergänzen gerätespezifische Einträge
+     */
+    getCapabilities() {
+        return {
+            genericScheduling: !!this.genericScheduling,
+            switchable: !!this.config.switchStateId,
+            startTrigger: !!this.config.startTriggerStateId,
+            powerMeasurement: !!this.config.powerStateId,
+            programDetection: !!this.config.powerStateId && this.programDetectionEnabled,
+            confirmPlans: !!this.config.confirmPlans,
+            pvOpportunistic: !!this.config.pvOpportunistic,
+            doorContact: !!this.config.doorStateId,
+            todoist: !!this.adapter.config.todoistEnabled && this.todoist.getTemplates().length > 0,
+        };
+    }
+
+    /**
+     * Aktive Timer des Geräts (Adapter-Timer "<id>_<name>" plus Scheduling-Timer) mit Fälligkeit
+     */
+    getActiveTimers() {
+        const prefix = `${this.id}_`;
+        const timers = [];
+        for (const key of this.adapter.timers.keys()) {
+            if (!key.startsWith(prefix)) continue;
+            const due = this.adapter.timerDue.get(key);
+            timers.push({ name: key.slice(prefix.length), due: due ? new Date(due).toISOString() : null });
+        }
+        if (this._scheduledTimer) {
+            timers.push({ name: "scheduledStart", due: new Date(this._scheduledTimerDue).toISOString() });
+        }
+        return timers;
+    }
+
+    async getStatus() {
+        const value = async name => {
+            const state = await this.getStateAsync(name);
+            return state && state.val !== undefined ? state.val : null;
+        };
+        return {
+            id: this.id,
+            device: this.name,
+            type: this.type,
+            running: (await value("running")) === true,
+            scheduled: (await value("scheduled")) === true,
+            proposed: (await value("proposed")) === true,
+            startTime: (await value("startTime")) || null,
+            runtime: await value("runtime"),
+            status: this.status,
+            statusSince: (await value("statusSince")) || null,
+            remainingMinutes: this._runContext ? await value("remainingMinutes") : null,
+            estimatedEnd: this._runContext ? (await value("estimatedEnd")) || null : null,
+            progressPercent: await value("progressPercent"),
+            detectedProgram: (await value("detectedProgram")) || null,
+            detectedConfidence: await value("detectedConfidence"),
+            timers: this.getActiveTimers()
+        };
+    }
+
+    /**
+     * @param {string} message Text (Gerätename wird vom Kanal ergänzt)
+     * @param {string} [event] planned | started | finished | reminder | error | info (Routing)
+     * @param {Array<{label: string, action: string}>} [actions] Buttons (nur Kanäle, die sie unterstützen)
+     */
+    async sendNotification(message, event = "info", actions) {
+        await this.adapter.sendNotification(message, { event, device: this.name, deviceId: this.id, actions });
     }
 
-    async sendNotification(message) {
-        const prefixedMessage = `${this.name}: ${message}`;
-        await this.adapter.sendNotification(prefixedMessage);
+    // =========== Meldungstexte ==============================================
+
+    /**
+     * Text aus dem Meldungskatalog, {device} ist mit dem Gerätenamen vorbelegt
+     */
+    t(key, vars = {}) {
+        return this.adapter.t(key, { device: this.name, ...vars });
+    }
+
+    /**
+     * Platzhalter eines Zeitfensters in der Meldungssprache: {date}, {start}, {end}, {avgPrice} (ct/kWh)
+     */
+    windowVars(start, end, avgPrice) {
+        const messages = this.adapter.messages;
+        return {
+            date: messages.formatDate(start),
+            start: messages.formatTime(start),
+            end: messages.formatTime(end),
+            avgPrice: Number.isFinite(avgPrice) ? messages.formatNumber(avgPrice * 100) : "",
+        };
+    }
+
+    finishByText(finishBy) {
+        const messages = this.adapter.messages;
+        return this.t("plan.finishBy", { date: messages.formatDate(finishBy), time: messages.formatTime(finishBy) });
+    }
+
+    // =========== Gerätestatus ==============================================
+
+    /**
+     * Status wechseln; nur zulässige Übergänge (DeviceStatus.canTransition), force z. B. beim Neustart.
+     * Jeder Wechsel landet mit Zeitstempel im Log und in statusHistory.
+     * @returns {Promise<boolean>} false bei unzulässigem Übergang
+     */
+    async setStatus(status, reason = "", { force = false } = {}) {
+        if (!DeviceStatus.isStatus(status)) throw new Error(`Unknown status '${status}'`);
+        const from = this.status;
+        if (from === status) return true;
+        if (!force && !DeviceStatus.canTransition(from, status)) {
+            this.adapter.log.warn(`${this.name}: Invalid status transition ${from} -> ${status}${reason ? ` (${reason})` : ""} ignored`);
+            return false;
+        }
+        const ts = new Date().toISOString();
+        this.status = status;
+        this.adapter.log.info(`${this.name}: Status ${from || "-"} -> ${status} at ${ts}${reason ? ` (${reason})` : ""}`);
+        await this.setStateAsync("status", status, true);
+        await this.setStateAsync("statusSince", ts, true);
+        let history = [];
+        try {
+            const state = await this.getStateAsync("statusHistory");
+            history = state && state.val ? JSON.parse(state.val) : [];
+        } catch (e) {
+            this.adapter.log.debug(`${this.name}: Stored status history is not valid JSON: ${e.message}`);
+        }
+        history = DeviceStatus.appendTransition(history, { ts, from: from || null, to: status, reason });
+        await this.setStateAsync("statusHistory", JSON.stringify(history), true);
+        return true;
+    }
+
+    async restingStatus() {
+        const value = async name => (await this.getStateAsync(name))?.val;
+        return DeviceStatus.restingStatus({
+            running: await value("running"),
+            scheduled: await value("scheduled"),
+            proposed: await value("proposed"),
+            unloaded: await value("unloaded")
+        });
+    }
+
+    async settleStatus(reason) {
+        await this.setStatus(await this.restingStatus(), reason);
+    }
+
+    // Leistung liegt an, Start-Erkennung läuft (ein ausgelöster geplanter Start bleibt "starting")
+    async beginDetection(reason = "power above threshold") {
+        if (this.status !== "starting") await this.setStatus("detecting", reason);
+    }
+
+    async cancelDetection(reason = "power dropped") {
+        if (this.status === "detecting") await this.settleStatus(reason);
+    }
+
+    // Nachlaufprüfung (Leistung unter Schwelle) beginnt bzw. endet, weil wieder Leistung anliegt
+    async beginFinishing(reason = "power below threshold") {
+        if (this.status !== "running") return;
+        await this.setStatus("finishing", reason);
+        await this.updateRunEstimate();
+    }
+
+    async resumeRunning(reason = "power resumed") {
+        if (this.status !== "finishing") return;
+        await this.setStatus("running", reason);
+        await this.updateRunEstimate();
+    }
+
+    // =========== Ausräumen und Erinnerungen ================================
+
+    // Erste Erinnerung ohne konfigurierte Intervalle (Minuten)
+    get defaultReminderMinutes() {
+        return 30;
+    }
+
+    /**
+     * Abstände der Erinnerungen in ms: reminderIntervals "45, 30, 60" (letzter Wert wiederholt sich)
+     */
+    get reminderIntervalsMs() {
+        const list = String(this.config.reminderIntervals || "")
+            .split(/[\s,;]+/)
+            .map(v => Number(v))
+            .filter(v => Number.isFinite(v) && v > 0);
+        return (list.length ? list : [this.defaultReminderMinutes]).map(v => v * 60 * 1000);
+    }
+
+    // Anzahl Erinnerungen je Lauf (0 = keine)
+    get reminderMaxCount() {
+        const value = this.config.reminderMaxCount;
+        if (value === undefined || value === null || value === "") return 3;
+        return Math.max(0, Number(value) || 0);
+    }
+
+    isDoorOpen(value) {
+        const open = value === true || value === 1 || ["true", "1", "open", "opened", "on"].includes(String(value).toLowerCase());
+        return this.config.doorInvert ? !open : open;
+    }
+
+    /**
+     * Nach Laufende: als nicht ausgeräumt markieren und Erinnerungen starten
+     */
+    async startUnloadReminders() {
+        await this.setStateAsync("unloaded", false, true);
+        await this.setStatus("awaiting_unload", "run finished");
+        this._reminderCount = 0;
+        this._scheduleUnloadReminder();
+    }
+
+    // Fälligkeiten in der Ruhezeit werden auf deren Ende verschoben
+    _scheduleUnloadReminder() {
+        if (this._reminderCount >= this.reminderMaxCount) return;
+        const intervals = this.reminderIntervalsMs;
+        let due = Date.now() + intervals[Math.min(this._reminderCount, intervals.length - 1)];
+        const quietEnd = TimeParser.quietHoursEnd(this.adapter.config.quietHoursStart, this.adapter.config.quietHoursEnd, new Date(due));
+        if (quietEnd) due = quietEnd.getTime();
+        this.setPersistentTimer("unload", due - Date.now(), { count: this._reminderCount });
+    }
+
+    async _onUnloadReminder(payload) {
+        const unloaded = await this.getStateAsync("unloaded");
+        if (unloaded?.val === true) return;
+        this._reminderCount = (Number(payload.count) || 0) + 1;
+        await this.sendNotification(this.unloadReminderText(this._reminderCount), "reminder");
+        this._scheduleUnloadReminder();
+    }
+
+    /**
+     * Text der n-ten Erinnerung – Unterklassen passen ihn an
+     */
+    unloadReminderText(count) {
+        return this.t(count === 1 ? "unload.reminder" : "unload.reminderRepeat", { count });
+    }
+
+    stopUnloadReminders() {
+        this.clearPersistentTimer("unload");
+    }
+
+    async handleDoorChange(value) {
+        if (!this.isDoorOpen(value)) return;
+        const running = await this.getStateAsync("running");
+        const unloaded = await this.getStateAsync("unloaded");
+        if (running?.val === true || unloaded?.val !== false) return;
+        await this.markUnloaded("door");
+    }
+
+    /**
+     * Ausgeräumt (Tür geöffnet oder manuell bestätigt): Erinnerungen beenden, zugehörige Aufgaben schließen
+     */
+    async markUnloaded(source) {
+        this.stopUnloadReminders();
+        const unloaded = await this.getStateAsync("unloaded");
+        if (unloaded?.val === true) return;
+        await this.setStateAsync("unloaded", true, true);
+        this.adapter.log.info(`${this.name}: Unloaded (${source})`);
+        if (this.status === "awaiting_unload") await this.settleStatus(`unloaded (${source})`);
+        await this.todoistEvent("doorOpened");
+        await this.onUnloaded();
+    }
+
+    /**
+     * Hook für Unterklassen nach dem Ausräumen
+     */
+    async onUnloaded() {
+        // Override in derived classes
+    }
+
+    // =========== ToDoist ===================================================
+
+    /**
+     * Lebenszyklus-Ereignis an die ToDoist-Vorlagen weitergeben (Fehler nur protokollieren)
+     */
+    async todoistEvent(event, vars) {
+        try {
+            await this.todoist.handleEvent(event, vars);
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: ToDoist handling for '${event}' failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Frühere Einzel-States mit ToDoist-IDs nach todoistTasks übernehmen und entfernen
+     * @param {string} key Vorlage, unter der die IDs abgelegt werden
+     * @param {{main?: string, subtasks?: object}} legacy State der Hauptaufgabe und { Subtask-Name: State }
+     */
+    async migrateTodoistStates(key, { main, subtasks = {} }) {
+        const names = [main, ...Object.values(subtasks)].filter(Boolean);
+        const values = {};
+        let found = false;
+        for (const name of names) {
+            const obj = await this.adapter.getObjectAsync(this.stateId(name));
+            if (!obj) continue;
+            found = true;
+            const state = await this.getStateAsync(name);
+            if (state && state.val) values[name] = String(state.val);
+        }
+        if (!found) return;
+        if (main && values[main]) {
+            const tasks = await this.todoist.getStored();
+            const entry = { id: values[main], created: new Date().toISOString(), subtasks: {} };
+            for (const [subName, stateName] of Object.entries(subtasks)) {
+                if (values[stateName]) entry.subtasks[subName] = values[stateName];
+            }
+            if (!tasks[key]) await this.todoist.store({ ...tasks, [key]: entry });
+        }
+        for (const name of names) await this.adapter.delObjectAsync(this.stateId(name));
+        this.adapter.log.info(`${this.name}: Migrated ToDoist states (${names.join(", ")}) to todoistTasks`);
     }
 
+    // =========== Laufkontext und Historie ==================================
+
+    /**
+     * Zu Laufbeginn aufrufen (nach running=true): Energiemessung starten und Kontext für die Historie merken
+     */
+    async beginRun(power) {
+        this.adapter.clearApplianceTimer(`${this.id}_verify`);
+        // Wer neu startet, hat ausgeräumt
+        await this.markUnloaded("new run");
+        await this.startEnergyMeter(power);
+        // Ein Start gilt als geplant, wenn er innerhalb von 30 min nach einer Schedule-Ausführung erkannt wird
+        const pending = this._pendingScheduledStart;
+        const scheduled = !!pending && (Date.now() - pending.executedAt) < 30 * 60 * 1000;
+        this._pendingScheduledStart = null;
+        this._runContext = {
+            start: new Date(),
+            scheduled,
+            plannedStart: scheduled ? pending.plannedStart : null,
+            program: await this.resolveRunProgram(scheduled),
+            detected: false
+        };
+        await this.storeRunContext(this._runContext);
+        await this.setStatus("running", this._runContext.scheduled ? "scheduled run" : "run detected");
+        await this.startProgramDetection(power);
+        await this.startRunEstimate();
+        await this.todoistEvent("start", { program: this._runContext.program });
+    }
+
+    /**
+     * Programm des aktuellen Laufs; Basis: Programm aus dem gespeicherten Plan bei geplanten Starts
+     */
+    async resolveRunProgram(scheduled) {
+        if (!scheduled) return "";
+        const plan = await this.getStoredPlan();
+        return plan?.program ? String(plan.program) : "";
+    }
+
+    /**
+     * Zum Laufende aufrufen: Energie/Kosten abschließen und Lauf in die Historie schreiben
+     * @returns {Promise<object|null>} Energie-Zusammenfassung (siehe finishEnergyAccounting)
+     */
+    async completeRun(runtime) {
+        await this.setStatus("finished", "run finished");
+        const energy = await this.finishEnergyAccounting();
+        const ctx = this._runContext || { start: new Date(Date.now() - runtime), scheduled: false, plannedStart: null, program: "" };
+        this._runContext = null;
+        await this.storeRunContext(null);
+        const plannedStart = ctx.plannedStart ? new Date(ctx.plannedStart) : null;
+        const curve = this.curveRecorder.active ? this.curveRecorder.finish() : null;
+        await this.learnPowerSignature(ctx, runtime, curve);
+        await this.finishRunEstimate();
+        const phases = curve ? RunEstimate.heatingPhases(curve) : null;
+        const entry = {
+            start: ctx.start.toISOString(),
+            end: new Date().toISOString(),
+            runtime,
+            program: ctx.program || "",
+            programDetected: !!ctx.detected,
+            energy: energy ? Math.round(energy.energyKWh * 1000) / 1000 : null,
+            cost: energy ? Math.round(energy.cost * 10000) / 10000 : null,
+            scheduled: ctx.scheduled,
+            plannedStart: plannedStart ? plannedStart.toISOString() : null,
+            startDeltaMinutes: plannedStart ? Math.round((ctx.start.getTime() - plannedStart.getTime()) / 60000) : null,
+            heatingPhases: phases ? phases.count : null,
+            heatEndMinute: phases ? phases.lastEnd : null
+        };
+        try {
+            const entries = RunHistory.appendEntry(await this.getHistory(), entry, this.adapter.config.historySize);
+            await this.setStateAsync("history", JSON.stringify(entries), true);
+            await this.setStateAsync("statistics", JSON.stringify(RunHistory.computeStatistics(entries)), true);
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Failed to update run history: ${e.message}`);
+        }
+        await this.todoistEvent("finish", { program: entry.program });
+        return energy;
+    }
+
+    async getHistory(filter) {
+        const state = await this.getStateAsync("history");
+        let entries = [];
+        try {
+            entries = state && state.val ? JSON.parse(state.val) : [];
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Stored history is not valid JSON: ${e.message}`);
+        }
+        if (!Array.isArray(entries)) entries = [];
+        return filter ? RunHistory.filterEntries(entries, filter) : entries;
+    }
+
+    // =========== Energie- und Kostenerfassung ==============================
+
+    /**
+     * Zu Laufbeginn aufrufen: Messung starten und Preise als Fallback sichern
+     */
+    async startEnergyMeter(power) {
+        this.energyMeter.start(power);
+        try {
+            this.energyMeter.setPriceSnapshot(await this.adapter.getPrices());
+        } catch (e) {
+            this.adapter.log.debug(`${this.name}: No prices for energy accounting snapshot: ${e.message}`);
+        }
+    }
+
+    /**
+     * Jedes Leistungs-Sample weiterreichen; läuft das Gerät ohne aktive Messung
+     * (z. B. Adapter-Neustart mitten im Lauf), wird ab jetzt gemessen.
+     */
+    async trackPower(power, isRunning) {
+        if (this.energyMeter.active) {
+            this.energyMeter.addSample(power);
+        } else if (isRunning) {
+            this.energyMeter.start(power);
+        }
+        // Ohne Laufbeginn (Neustart mitten im Lauf) fehlt die frühe Phase -> keine Erkennung
+        if (this.curveRecorder.active) {
+            this.curveRecorder.addSample(power);
+            await this.updateProgramDetection();
+        }
+    }
+
+    // =========== Restlaufzeit ==============================================
+
+    // Vorwarnung vor dem Laufende in Minuten (0 = aus)
+    get finishingSoonMinutes() {
+        return Math.max(0, Number(this.config.finishingSoonMinutes) || 0);
+    }
+
+    /**
+     * Erwartete Laufzeit ohne Lernwerte: Dauer des Plans bei geplanten Starts, sonst Standardlaufzeit.
+     * Unterklassen mit Programmen liefern die Programmdauer.
+     */
+    async getExpectedRunMinutes(ctx) {
+        if (ctx?.scheduled) {
+            const plan = await this.getStoredPlan();
+            if (plan) return this.getPlannedDurationMinutes(plan);
+        }
+        return this.REQUIRED_MINUTES || 120;
+    }
+
+    // Rest der Ende-Bestätigung aus den Timern _end/_post (ohne Registry-Timer: POST_CONFIRM_MS)
+    finishingRemainingMinutes() {
+        const postMs = this.POST_CONFIRM_MS || 60000;
+        const postDue = this.adapter.timerDue.get(`${this.id}_post`);
+        const endDue = this.adapter.timerDue.get(`${this.id}_end`);
+        const due = postDue || (endDue ? endDue + postMs : Date.now() + postMs);
+        return Math.max(0, (due - Date.now()) / 60000);
+    }
+
+    async startRunEstimate() {
+        await this.updateRunEstimate();
+        this._scheduleRunEstimate();
+    }
+
+    // Minütlich neu schätzen, solange der Lauf andauert (nicht persistent – reconcileAfterRestart schaltet neu scharf)
+    _scheduleRunEstimate() {
+        if (!this._runContext) return;
+        this.adapter.setApplianceTimer(`${this.id}_eta`, () => this._onRunEstimateTimer(), 60000);
+    }
+
+    async _onRunEstimateTimer() {
+        if (!this._runContext) return;
+        try {
+            await this.updateRunEstimate();
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Run estimate failed: ${e.message}`);
+        }
+        this._scheduleRunEstimate();
+    }
+
+    /**
+     * Laufkontext im State runContext sichern (bei Laufstart und Änderungen, nicht je Minute), null löscht ihn
+     */
+    async storeRunContext(ctx) {
+        const value = ctx ? JSON.stringify({ ...ctx, start: ctx.start.toISOString() }) : "";
+        await this.setStateAsync("runContext", value, true);
+    }
+
+    async getStoredRunContext() {
+        const state = await this.getStateAsync("runContext");
+        try {
+            const parsed = state && state.val ? JSON.parse(state.val) : null;
+            const start = new Date(parsed?.start);
+            return parsed && !isNaN(start.getTime()) ? { ...parsed, start } : null;
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Stored run context is not valid JSON: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * remainingMinutes, estimatedEnd und progressPercent aus geplanter bzw. Programmdauer, gelernter
+     * Laufzeit des Programms und aktueller Leistungsphase; löst ggf. die Vorwarnung aus
+     */
+    async updateRunEstimate() {
+        const ctx = this._runContext;
+        if (!ctx) return null;
+        const elapsed = (Date.now() - ctx.start.getTime()) / 60000;
+        const result = RunEstimate.estimate({
+            elapsedMinutes: elapsed,
+            plannedMinutes: await this.getExpectedRunMinutes(ctx),
+            profile: RunEstimate.learnedProfile(await this.getHistory(), ctx.program),
+            curve: this.curveRecorder.curve(),
+            finishingMinutes: this.status === "finishing" ? this.finishingRemainingMinutes() : undefined
+        });
+        if (!result) return null;
+        const end = new Date(Date.now() + result.remainingMinutes * 60000);
+        await this.setStateAsync("remainingMinutes", Math.round(result.remainingMinutes), true);
+        await this.setStateAsync("estimatedEnd", end.toISOString(), true);
+        await this.setStateAsync("progressPercent", Math.round(result.progress), true);
+        this.adapter.log.debug(`${this.name}: ${Math.round(result.remainingMinutes)} min remaining (${result.basis}, ${Math.round(result.progress)} %)`);
+
+        const soon = this.finishingSoonMinutes;
+        if (soon > 0 && !ctx.finishingSoonSent && elapsed >= soon && result.remainingMinutes <= soon) {
+            ctx.finishingSoonSent = true;
+            await this.storeRunContext(ctx);
+            const minutes = Math.max(1, Math.round(result.remainingMinutes));
+            await this.sendNotification(this.t("run.finishingSoon", { minutes, end: this.adapter.messages.formatTime(end) }), "reminder");
+        }
+        return result;
+    }
+
+    async finishRunEstimate() {
+        this.adapter.clearApplianceTimer(`${this.id}_eta`);
+        await this.setStateAsync("remainingMinutes", 0, true);
+        await this.setStateAsync("estimatedEnd", new Date().toISOString(), true);
+        await this.setStateAsync("progressPercent", 100, true);
+    }
+
+    // =========== Persistente Timer ==========================================
+
+    /**
+     * Timer über die Registry des Adapters, dessen Absicht (Fälligkeit, Payload) zusätzlich im State
+     * timers liegt, damit er nach einem Neustart wieder scharf geschaltet wird (PersistentTimers).
+     * Der Callback kommt aus getTimerHandler(name) und bekommt die Payload (nur JSON-Werte).
+     */
+    setPersistentTimer(name, delay, payload = {}) {
+        return this.persistentTimers.set(name, delay, payload);
+    }
+
+    // Nur bei fachlichem Abbruch aufrufen – stop() räumt lediglich die Registry, die Absicht bleibt
+    clearPersistentTimer(name) {
+        return this.persistentTimers.clear(name);
+    }
+
+    /**
+     * Callback je Timername; Unterklassen ergänzen ihre Timer und delegieren den Rest an super
+     * @returns {Function|null} async (payload) => void
+     */
+    getTimerHandler(name) {
+        switch (name) {
+            case "unload": return payload => this._onUnloadReminder(payload);
+            default: return null;
+        }
+    }
+
+    /**
+     * Hook beim Wiederherstellen (vor dem Auslösen): Laufzustand aus der Payload übernehmen;
+     * die Basis hat keinen (Laufkontext kommt aus dem State runContext)
+     */
+    onTimerRestored(name, payload) {}
+
+    /**
+     * Nach dem Neustart: Läuft laut State ein Lauf, Kontext (aus runContext, sonst startTime) wiederherstellen,
+     * die Restlaufzeit wieder minütlich schätzen und die aktuelle Leistung wie ein neues Sample behandeln –
+     * ist der Lauf während der Downtime zu Ende gegangen, bestätigt die normale Ende-Erkennung das Laufende.
+     */
+    async reconcileAfterRestart() {
+        const running = (await this.getStateAsync("running"))?.val === true;
+        if (!running) {
+            this._runContext = null;
+            return;
+        }
+        this._runContext = await this.getStoredRunContext();
+        if (!this._runContext) {
+            const startTime = new Date((await this.getStateAsync("startTime"))?.val || NaN);
+            this._runContext = { start: isNaN(startTime.getTime()) ? new Date() : startTime, scheduled: false, plannedStart: null, program: "", detected: false };
+            await this.storeRunContext(this._runContext);
+        }
+        this._scheduleRunEstimate();
+        if (this.persistentTimers.has("end") || this.persistentTimers.has("post")) await this.beginFinishing("end detection restored");
+        if (!this.config.powerStateId) return;
+        const power = await this.getCurrentPower();
+        this.adapter.log.info(`${this.name}: Run in progress after restart (${power}W) – resuming detection`);
+        await this.handlePowerChange(power);
+    }
+
+    // =========== Programmerkennung =========================================
+
+    get programDetectionEnabled() {
+        return this.config.programDetection !== false;
+    }
+
+    // Länge der verglichenen frühen Phase in Minuten
+    get detectionMinutes() {
+        return Math.max(PowerSignature.MIN_MINUTES, Number(this.config.detectionMinutes) || 20);
+    }
+
+    async getSignatures() {
+        const state = await this.getStateAsync("signatures");
+        try {
+            const parsed = state && state.val ? JSON.parse(state.val) : {};
+            return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Stored signatures are not valid JSON: ${e.message}`);
+            return {};
+        }
+    }
+
+    async startProgramDetection(power) {
+        this.curveRecorder.start(power);
+        this._detectedMinutes = 0;
+        await this.setStateAsync("detectedProgram", "", true);
+        await this.setStateAsync("detectedConfidence", 0, true);
+    }
+
+    /**
+     * Je abgeschlossener Minute der frühen Phase neu klassifizieren; am Ende der Phase übernimmt ein
+     * Lauf ohne Programm (manueller Start) das erkannte Programm, sofern die Konfidenz reicht
+     */
+    async updateProgramDetection() {
+        if (!this.programDetectionEnabled || !this._runContext) return;
+        const curve = this.curveRecorder.curve();
+        const minutes = Math.min(curve.length, this.detectionMinutes);
+        if (minutes < PowerSignature.MIN_MINUTES || minutes <= this._detectedMinutes) return;
+        this._detectedMinutes = minutes;
+
+        const result = PowerSignature.classify(curve.slice(0, minutes), await this.getSignatures(), minutes);
+        if (!result) return;
+        const confidence = Math.round(result.confidence * 100);
+        await this.setStateAsync("detectedProgram", result.program, true);
+        await this.setStateAsync("detectedConfidence", confidence, true);
+        this.adapter.log.debug(`${this.name}: Detected program ${result.program} (${confidence} %) after ${minutes} min`);
+
+        const ctx = this._runContext;
+        if (minutes >= this.detectionMinutes && !ctx.program && result.confidence >= PowerSignature.MIN_CONFIDENCE) {
+            ctx.program = result.program;
+            ctx.detected = true;
+            await this.storeRunContext(ctx);
+            this.adapter.log.info(`${this.name}: Program ${result.program} recognized from power curve (${confidence} %)`);
+            await this.onProgramDetected(result.program);
+        }
+    }
+
+    /**
+     * Hook für Unterklassen, wenn ein manueller Lauf einem Programm zugeordnet wurde
+     */
+    async onProgramDetected(program) {
+        // Override in derived classes
+    }
+
+    /**
+     * Kurve eines Laufs mit geplantem Programm als Signatur lernen (erkannte Programme nicht, sonst
+     * verstärken sich Fehlzuordnungen selbst)
+     */
+    async learnPowerSignature(ctx, runtime, curve) {
+        if (!curve) return;
+        if (!this.programDetectionEnabled || !ctx.program || ctx.detected) return;
+        try {
+            const signatures = PowerSignature.learn(await this.getSignatures(), ctx.program, curve, runtime);
+            await this.setStateAsync("signatures", JSON.stringify(signatures), true);
+            this.adapter.log.debug(`${this.name}: Learned power signature for program ${ctx.program}`);
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Failed to store power signature: ${e.message}`);
+        }
+    }
+
+    /**
+     * Zum Laufende aufrufen: kWh und Kosten mit den real aktiven Preis-Slots berechnen und veröffentlichen
+     * @returns {Promise<object|null>} Zusammenfassung oder null, wenn nicht gemessen wurde
+     */
+    async finishEnergyAccounting() {
+        if (!this.energyMeter.active) return null;
+        let prices = [];
+        try {
+            prices = await this.adapter.getPrices();
+        } catch (e) {
+            this.adapter.log.debug(`${this.name}: No current prices for energy accounting: ${e.message}`);
+        }
+        const summary = this.energyMeter.finish(prices);
+        await this.setStateAsync("lastRunEnergy", Math.round(summary.energyKWh * 1000) / 1000, true);
+        await this.setStateAsync("lastRunCost", Math.round(summary.cost * 10000) / 10000, true);
+        await this.setStateAsync("lastRunAvgPrice", summary.avgPrice === null ? 0 : Math.round(summary.avgPrice * 10000) / 100, true);
+        this.adapter.log.info(`${this.name}: Run consumed ${summary.energyKWh.toFixed(3)} kWh, cost ${summary.cost.toFixed(4)} €`);
+        return summary;
+    }
+
+    formatRunSummary(summary) {
+        if (!summary) return "";
+        const messages = this.adapter.messages;
+        const vars = { energy: messages.formatNumber(summary.energyKWh) };
+        if (summary.avgPrice === null) return this.t("run.summary", vars);
+        return this.t("run.summaryCost", { ...vars, cost: messages.formatNumber(summary.cost), avgPrice: messages.formatNumber(summary.avgPrice * 100, 1) });
+    }
+
+    /**
+     * Meldung zum Laufende mit Energie und Kosten (falls gemessen)
+     */
+    finishedText(summary) {
+        return summary ? this.t("run.finishedSummary", { summary: this.formatRunSummary(summary) }) : this.t("run.finished");
+    }
+
+    // =========== Preisoptimierung ==========================================
+
+    /**
+     * Günstigstes Fenster über den gemeinsamen PriceOptimizer (inkl. gerankter Alternativen); Sperrzeiten und
+     * Zeit außerhalb der erlaubten Fenster des Geräts kommen zu options.excluded hinzu
+     */
+    _findCheapestWindowByMinutes(prices, minutes, notBefore = new Date(), options = {}) {
+        const from = new Date(notBefore || Date.now());
+        const to = options.finishBy ? new Date(options.finishBy) : new Date(from.getTime() + this.planningHorizonHours * 60 * 60 * 1000);
+        const excluded = [...(options.excluded || []), ...this.getBlockedWindows(from, to)];
+        return PriceOptimizer.findCheapestWindow(prices, minutes, { ...options, notBefore, excluded });
+    }
+
+    // =========== Betriebszeiten ============================================
+
+    /**
+     * Gesperrte Zeiträume in [from, to): Sperrzeiten und Zeit außerhalb der erlaubten Fenster
+     */
+    getBlockedWindows(from, to) {
+        return OperatingWindows.blockedIntervals(this.operatingWindows, from, to);
+    }
+
+    /**
+     * Erster gesperrter Zeitraum, den ein Lauf ab start (Dauer wie bei der Planung) berührt, oder null
+     */
+    findBlockedWindow(start, minutes = this.getPlannedDurationMinutes(null)) {
+        return this.getBlockedWindows(start, new Date(start.getTime() + minutes * 60000))[0] || null;
+    }
+
+    describeBlockedWindow(blocked) {
+        return blocked.text
+            ? this.t("window.forbidden", { window: blocked.text })
+            : this.t("window.outsideAllowed", { windows: this.config.allowedWindows });
+    }
+
+    /**
+     * Manuelle Startzeit (States) in einer Sperrzeit: nur warnen, der manuelle Eingriff hat Vorrang
+     */
+    warnIfBlocked(start) {
+        const blocked = this.findBlockedWindow(start);
+        if (blocked) this.adapter.log.warn(`${this.name}: Manual start ${start.toLocaleString()} – ${this.describeBlockedWindow(blocked)}`);
+    }
+
+    /**
+     * Fenstersuche inkl. Haushalts-Leistungsgrenze: reservierte Fenster anderer Geräte gelten als belegte
+     * Kapazität. Verschiebt das die Planung, erklärt result.shiftReason warum.
+     * options.peakPower überschreibt die eigene Spitzenleistung (z. B. Waschen + Trockner am Stück),
+     * options.ignoreDevices blendet Reservierungen weiterer Geräte aus (z. B. den alten Plan beim Umplanen).
+     */
+    async findPlanningWindow(prices, minutes, notBefore, options = {}) {
+        prices = await this.applyPvSurplus(prices);
+        const limit = Number(this.adapter.config.householdPowerLimit) || 0;
+        const ownPower = Number(options.peakPower !== undefined ? options.peakPower : this.config.peakPower) || 0;
+        if (limit <= 0 || ownPower <= 0) return this._findCheapestWindowByMinutes(prices, minutes, notBefore, { finishBy: options.finishBy, excluded: options.excluded });
+
+        const reservations = await this.adapter.getReservedWindows([this, ...(options.ignoreDevices || [])]);
+        const blocked = PriceOptimizer.capacityExclusions(reservations, ownPower, limit);
+        if (blocked.length === 0) return this._findCheapestWindowByMinutes(prices, minutes, notBefore, { finishBy: options.finishBy, excluded: options.excluded });
+
+        const { peakPower, ignoreDevices, ...windowOptions } = options;
+        const best = this._findCheapestWindowByMinutes(prices, minutes, notBefore, { ...windowOptions, excluded: [...(windowOptions.excluded || []), ...blocked] });
+        const unconstrained = this._findCheapestWindowByMinutes(prices, minutes, notBefore, windowOptions);
+        if (unconstrained && (!best || best.startTime.getTime() !== unconstrained.startTime.getTime())) {
+            const fmtTime = d => this.adapter.messages.formatTime(d);
+            const conflicts = reservations
+                .filter(r => new Date(r.start) < unconstrained.endTime && unconstrained.startTime < new Date(r.end))
+                .map(r => this.t("plan.powerConflict", { device: r.device, start: fmtTime(r.start), end: fmtTime(r.end), power: r.power }));
+            const reason = this.t("plan.powerLimit", { limit, conflicts: conflicts.join(", ") });
+            this.adapter.log.info(`${this.name}: Cheapest window ${fmtTime(unconstrained.startTime)} blocked – ${reason}`);
+            if (best) best.shiftReason = this.t("plan.shifted", { start: fmtTime(unconstrained.startTime), reason });
+        }
+        return best;
+    }
+
+    /**
+     * Typische Leistung im Lauf (W) für PV-Überschuss; Fallback Spitzenleistung
+     */
+    getTypicalPower() {
+        return Number(this.config.typicalPower) || Number(this.config.peakPower) || 0;
+    }
+
+    /**
+     * Im PV-Modus Netzpreise durch effektive Preise (Überschussanteil zur Einspeisevergütung) ersetzen
+     */
+    async applyPvSurplus(prices) {
+        const pv = this.adapter.pvSurplus;
+        if (!pv || !pv.enabled) return prices;
+        const power = this.getTypicalPower();
+        if (power <= 0) {
+            this.adapter.log.debug(`${this.name}: PV mode active but no typicalPower configured – using grid prices`);
+            return prices;
+        }
+        return pv.getEffectivePrices(prices, power);
+    }
+
+    /**
+     * Opportunistischer Start: liegt der Live-Überschuss für pvOpportunisticMinutes über der typischen
+     * Leistung, wird ein geplanter Start vorgezogen. Fällt er vorher darunter, beginnt die Wartezeit neu.
+     */
+    async checkOpportunisticStart(surplus) {
+        const power = this.getTypicalPower();
+        if (!this.config.pvOpportunistic || !this.genericScheduling || power <= 0) return;
+        const key = `${this.id}_pv`;
+        const scheduled = (await this.getStateAsync("scheduled"))?.val === true;
+        if (!scheduled || !(surplus >= power)) {
+            if (this._pvSurplusSince) this.adapter.log.debug(`${this.name}: PV surplus dropped below ${power} W`);
+            this._pvSurplusSince = null;
+            this.adapter.clearApplianceTimer(key);
+            return;
+        }
+        if (this._pvSurplusSince) return;
+        // earliestStart nur beachten, wenn der gespeicherte Plan zum aktuellen Start gehört (nicht nach setStart)
+        const plan = await this.getStoredPlan();
+        const startTime = (await this.getStateAsync("startTime"))?.val;
+        const planIsCurrent = plan && startTime && new Date(plan.startTime).getTime() === new Date(startTime).getTime();
+        if (planIsCurrent && plan.earliestStart && new Date(plan.earliestStart).getTime() > Date.now()) return;
+
+        const minutes = Math.max(1, Number(this.adapter.config.pvOpportunisticMinutes) || 10);
+        this._pvSurplusSince = Date.now();
+        this.adapter.log.debug(`${this.name}: PV surplus ${Math.round(surplus)} W ≥ ${power} W – early start in ${minutes} min if it holds`);
+        this.adapter.setApplianceTimer(key, async () => {
+            this._pvSurplusSince = null;
+            try {
+                const live = await this.adapter.pvSurplus.getLiveSurplus();
+                if (live === null || live < power) return;
+                if ((await this.getStateAsync("scheduled"))?.val !== true) return;
+                this.adapter.log.info(`${this.name}: PV surplus ${Math.round(live)} W for ${minutes} min – starting early`);
+                await this.sendNotification(this.t("run.pvEarlyStart", { power: Math.round(live), minutes }), "started");
+                this._clearScheduledTimer();
+                await this._executeScheduledStart();
+            } catch (e) {
+                this.adapter.log.warn(`${this.name}: Opportunistic PV start failed: ${e.message}`);
+            }
+        }, minutes * 60000);
+    }
+
+    /**
+     * Planungsdauer eines gespeicherten Plans (Fallback: Standardlaufzeit des Geräts)
+     */
+    getPlannedDurationMinutes(plan) {
+        return Number(plan?.durationMinutes) || this.REQUIRED_MINUTES || 120;
+    }
+
+    /**
+     * Fenster, in denen dieses Gerät Leistung belegt (geplanter Start oder laufender Zyklus)
+     * @returns {Promise<Array<{device: string, start: Date, end: Date, power: number}>>}
+     */
+    async getReservedWindows() {
+        const power = Number(this.config.peakPower) || 0;
+        if (power <= 0) return [];
+        const running = (await this.getStateAsync("running"))?.val === true;
+        const scheduled = (await this.getStateAsync("scheduled"))?.val === true;
+        if (!running && !scheduled) return [];
+        const start = new Date((await this.getStateAsync("startTime"))?.val || NaN);
+        if (isNaN(start.getTime())) return [];
+        const minutes = this.getPlannedDurationMinutes(await this.getStoredPlan());
+        return [{ device: this.name, start, end: new Date(start.getTime() + minutes * 60000), power }];
+    }
+
+    /**
+     * Planungsgrenzen aus Parametern bzw. Gerätekonfiguration (earliestStart / deadline) auflösen.
+     * Wirft bei ungültigen oder unerfüllbaren Angaben einen Fehler mit klarer Meldung.
+     */
+    resolveConstraints({ earliestStart, deadline, notBefore } = {}, minutes = 0) {
+        const now = new Date();
+        const earliestInput = earliestStart !== undefined && earliestStart !== "" ? earliestStart : this.config.earliestStart;
+        const deadlineInput = deadline !== undefined && deadline !== "" ? deadline : this.config.deadline;
+
+        let start = now;
+        if (notBefore) {
+            const nb = new Date(notBefore);
+            if (!isNaN(nb.getTime()) && nb > start) start = nb;
+        }
+        if (earliestInput) {
+            const earliest = TimeParser.parseEarliestStart(earliestInput, now);
+            if (!earliest) throw new Error(this.t("error.invalidEarliestStart", { value: earliestInput }));
+            if (earliest > start) start = earliest;
+        }
+
+        let finishBy = null;
+        if (deadlineInput) {
+            finishBy = TimeParser.parseDeadline(deadlineInput, start);
+            if (!finishBy) throw new Error(this.t("error.invalidDeadline", { value: deadlineInput }));
+            if (finishBy.getTime() - start.getTime() < minutes * 60000) {
+                const messages = this.adapter.messages;
+                throw new Error(this.t("error.deadlineUnreachable", { deadline: messages.formatDateTime(finishBy), minutes, start: messages.formatDateTime(start) }));
+            }
+        }
+        return { notBefore: start, finishBy };
+    }
+
+    /**
+     * Generische Planung: günstigstes Fenster für die Laufzeit suchen, Start einplanen und Plan speichern.
+     * Fehler (kein Fenster, ungültige Grenzen) werden gemeldet und an den Aufrufer weitergereicht.
+     * options.reoptimize: Neuplanung eines bestehenden Plans – ohne Bestätigung, ohne Fehlermeldung und nur,
+     * wenn der Ø-Preis unter options.maxAvgPrice liegt (sonst null); options.note ergänzt die Meldung,
+     * options.recurring ({ rule, occurrence }) markiert Pläne wiederkehrender Regeln.
+     */
+    async scheduleOptimalStart({ durationMinutes, program, earliestStart, deadline, notBefore } = {}, options = {}) {
+        const minutes = Math.max(1, Number(durationMinutes) || this.REQUIRED_MINUTES || 120);
+        try {
+            const { notBefore: from, finishBy } = this.resolveConstraints({ earliestStart, deadline, notBefore }, minutes);
+            this.adapter.log.info(`${this.name}: Searching for optimal start window (${minutes}min)`);
+            const prices = await this.adapter.getPrices();
+            const optimal = await this.findPlanningWindow(prices, minutes, from, { finishBy });
+            if (!optimal) {
+                throw new Error(finishBy
+                    ? this.t("error.noWindowDeadline", { minutes, deadline: this.adapter.messages.formatDateTime(finishBy) })
+                    : this.t("error.noWindow", { minutes }));
+            }
+            if (options.reoptimize && !(optimal.avgPrice < options.maxAvgPrice)) return null;
+
+            const avgCt = (optimal.avgPrice * 100).toFixed(2);
+            await this.setStateAsync("avgPrice", parseFloat(avgCt), true);
+            const proposed = await this.commitPlan({
+                program: program || "", variant: "single", durationMinutes: minutes,
+                startTime: optimal.startTime, endTime: optimal.endTime, avgPrice: optimal.avgPrice,
+                alternatives: optimal.alternatives, earliestStart: from, deadline: finishBy,
+                shiftReason: optimal.shiftReason || null, recurring: options.recurring || null, createdAt: new Date()
+            }, { skipConfirm: !!options.reoptimize });
+
+            let msg = this.t("plan.header", { minutes, program: program || "" });
+            msg += `\n- ${this.t("plan.window", this.windowVars(optimal.startTime, optimal.endTime, optimal.avgPrice))}`;
+            if (program) msg += `\n- ${this.t("plan.program", { program })}`;
+            if (finishBy) msg += `\n- ${this.finishByText(finishBy)}`;
+            if (optimal.shiftReason) msg += `\n- ${optimal.shiftReason}`;
+            if (options.note) msg += `\n- ${options.note}`;
+            if (proposed) msg += `\n- ${this.describeProposal()}`;
+            await this.sendNotification(msg, "planned", proposed ? this.planActions() : undefined);
+            return optimal;
+        } catch (error) {
+            if (options.reoptimize) throw error;
+            this.adapter.log.error(`${this.name}: Optimization failed: ${error.message}`);
+            await this.sendNotification(this.t("plan.failed", { error: error.message }), "error");
+            throw error;
+        }
+    }
+
+    // =========== Neuoptimierung bei neuen Preisen ===========================
+
+    /**
+     * Ø-Preis eines gespeicherten Plans mit den aktuellen Preisen (null bei Datenlücke)
+     */
+    evaluatePlanPrice(plan, prices) {
+        return PriceOptimizer.averagePrice(prices, plan.startTime, plan.endTime);
+    }
+
+    /**
+     * Gespeicherten Plan mit denselben Parametern (inkl. Deadline) neu planen
+     */
+    async replan(plan, options) {
+        return this.scheduleOptimalStart({
+            durationMinutes: plan.durationMinutes, program: plan.program,
+            earliestStart: plan.earliestStart || undefined, deadline: plan.deadline || undefined
+        }, { ...options, recurring: plan.recurring || null });
+    }
+
+    /**
+     * Geplanten, noch nicht gestarteten Start verschieben, wenn neue Preise mindestens minSavingCt (ct/kWh)
+     * günstiger sind. Manuell gesetzte Startzeiten (setStart) und offene Vorschläge bleiben unangetastet.
+     * @returns {Promise<object|null>} neues Fenster oder null
+     */
+    async reoptimizeSchedule(minSavingCt) {
+        if (!this.genericScheduling) return null;
+        if ((await this.getStateAsync("scheduled"))?.val !== true) return null;
+        if ((await this.getStateAsync("running"))?.val === true) return null;
+        const plan = await this.getStoredPlan();
+        const startTime = (await this.getStateAsync("startTime"))?.val;
+        if (!plan || (plan.status && plan.status !== "accepted") || !startTime) return null;
+        if (new Date(plan.startTime).getTime() !== new Date(startTime).getTime()) return null;
+        if (new Date(startTime).getTime() - Date.now() < 5 * 60000) return null; // Start steht unmittelbar bevor
+
+        const prices = await this.applyPvSurplus(await this.adapter.getPrices());
+        const currentAvg = this.evaluatePlanPrice(plan, prices);
+        if (currentAvg === null) return null;
+        const maxAvgPrice = currentAvg - (Number(minSavingCt) || 0) / 100;
+        const note = this.t("plan.reoptimized", {
+            start: this.adapter.messages.formatTime(plan.startTime), avgPrice: this.adapter.messages.formatNumber(currentAvg * 100)
+        });
+        try {
+            const result = await this.replan(plan, { reoptimize: true, maxAvgPrice, note });
+            if (result) this.adapter.log.info(`${this.name}: Schedule moved from ${new Date(plan.startTime).toLocaleString()} to ${result.startTime.toLocaleString()}`);
+            return result;
+        } catch (e) {
+            this.adapter.log.debug(`${this.name}: Re-optimization skipped: ${e.message}`);
+            return null;
+        }
+    }
+
+    // =========== Planbestätigung (Vorschlag -> annehmen / verschieben / verwerfen) ====
+
+    /**
+     * Plan übernehmen: direkt einplanen oder bei confirmPlans als Vorschlag halten, bis er angenommen
+     * wird (Button, sendTo confirmPlan) oder autoAcceptMinutes abgelaufen sind.
+     * @returns {Promise<boolean>} true, wenn der Plan auf Bestätigung wartet
+     */
+    async commitPlan(plan, { skipConfirm = false } = {}) {
+        if (!this.config.confirmPlans || skipConfirm) {
+            await this.scheduleStartAt(plan.startTime);
+            await this.storePlan({ ...plan, status: "accepted" });
+            return false;
+        }
+        await this.cancelScheduledStart(false);
+        await this.storePlan({ ...plan, status: "proposed", proposedAt: new Date() });
+        await this.setStateAsync("startTime", new Date(plan.startTime).toISOString(), true);
+        await this.setStateAsync("proposed", true, true);
+        await this.setStatus("planned", "plan proposed");
+        this._setConfirmTimer(plan);
+        return true;
+    }
+
+    planActions() {
+        return [
+            { label: this.t("action.accept"), action: "accept" },
+            { label: this.t("action.startNow"), action: "startNow" },
+            { label: this.t("action.nextBest"), action: "nextBest" },
+            { label: this.t("action.cancel"), action: "cancel" },
+        ];
+    }
+
+    describeProposal() {
+        const minutes = Number(this.config.autoAcceptMinutes) || 0;
+        return minutes > 0 ? this.t("plan.waitingAutoAccept", { minutes }) : this.t("plan.waitingUntilStart");
+    }
+
+    // Auto-Annahme nach autoAcceptMinutes, ohne Auto-Annahme verfällt der Vorschlag zum geplanten Start
+    _setConfirmTimer(plan) {
+        const autoMs = (Number(this.config.autoAcceptMinutes) || 0) * 60000;
+        const untilStart = new Date(plan.startTime).getTime() - Date.now();
+        const accept = autoMs > 0;
+        const delay = Math.max(0, accept ? Math.min(autoMs, untilStart) : untilStart);
+        this.adapter.setApplianceTimer(`${this.id}_confirm`, async () => {
+            try {
+                if (accept) await this.acceptProposedPlan("auto");
+                else await this.rejectProposedPlan(this.t("plan.expired"));
+            } catch (e) {
+                this.adapter.log.warn(`${this.name}: Proposal timeout handling failed: ${e.message}`);
+            }
+        }, delay);
+    }
+
+    async restoreProposedPlan() {
+        const plan = await this.getStoredPlan();
+        if (plan?.status !== "proposed") return;
+        if (!this.config.confirmPlans) {
+            await this.acceptProposedPlan("auto");
+            return;
+        }
+        this.adapter.log.info(`${this.name}: Restoring proposed plan (${new Date(plan.startTime).toLocaleString()})`);
+        this._setConfirmTimer(plan);
+    }
+
+    async _getProposedPlan() {
+        const plan = await this.getStoredPlan();
+        return plan?.status === "proposed" ? plan : null;
+    }
+
+    async _clearProposal() {
+        this.adapter.clearApplianceTimer(`${this.id}_confirm`);
+        await this.setStateAsync("proposed", false, true);
+    }
+
+    async acceptProposedPlan(source = "user") {
+        const plan = await this._getProposedPlan();
+        if (!plan) throw new Error(this.t("error.noProposal"));
+        await this._clearProposal();
+        await this.storePlan({ ...plan, status: "accepted", acceptedBy: source });
+        await this.scheduleStartAt(new Date(plan.startTime));
+        const start = this.adapter.messages.formatTime(plan.startTime);
+        await this.sendNotification(this.t(source === "auto" ? "plan.autoAccepted" : "plan.accepted", { start }), "planned");
+        return plan;
+    }
+
+    async rejectProposedPlan(reason = this.t("plan.rejected")) {
+        const plan = await this._getProposedPlan();
+        if (!plan) throw new Error(this.t("error.noProposal"));
+        await this._clearProposal();
+        await this.storePlan({ ...plan, status: "rejected" });
+        await this.setStateAsync("startTime", "", true);
+        if (this.status === "planned") await this.settleStatus("plan rejected");
+        await this.sendNotification(reason, "planned");
+        return plan;
+    }
+
+    async startProposedPlanNow() {
+        const plan = await this._getProposedPlan();
+        if (!plan) throw new Error(this.t("error.noProposal"));
+        await this._clearProposal();
+        const now = new Date();
+        await this.storePlan({ ...plan, status: "accepted", acceptedBy: "startNow", startTime: now });
+        await this.scheduleStartAt(now);
+        return plan;
+    }
+
+    /**
+     * Plan auf ein anderes Fenster verschieben (abgeleitete Zeiten passen Unterklassen an)
+     */
+    shiftPlan(plan, window) {
+        return { ...plan, startTime: window.startTime, endTime: window.endTime, avgPrice: window.avgPrice };
+    }
+
+    async proposeNextBest() {
+        const plan = await this._getProposedPlan();
+        if (!plan) throw new Error(this.t("error.noProposal"));
+        const [next, ...rest] = Array.isArray(plan.alternatives) ? plan.alternatives : [];
+        if (!next) throw new Error(this.t("error.noAlternative"));
+        const shifted = this.shiftPlan({ ...plan, alternatives: rest }, next);
+        await this.commitPlan(shifted);
+
+        const vars = this.windowVars(new Date(shifted.startTime), new Date(shifted.endTime), next.avgPrice);
+        const window = this.t("plan.window", vars);
+        let msg = Number.isFinite(next.avgPrice) ? this.t("plan.nextBestPrice", { ...vars, window }) : this.t("plan.nextBest", { ...vars, window });
+        msg += `\n- ${this.describeProposal()}`;
+        await this.sendNotification(msg, "planned", this.planActions());
+        return shifted;
+    }
+
+    /**
+     * Geplanten Start und offenen Vorschlag verwerfen (sendTo cancel)
+     * @returns {Promise<boolean>} false, wenn nichts geplant war
+     */
+    async cancelPlannedStart() {
+        if (await this._getProposedPlan()) {
+            await this.rejectProposedPlan(this.t("plan.cancelled"));
+            return true;
+        }
+        if ((await this.getStateAsync("scheduled"))?.val !== true) return false;
+        await this.cancelScheduledStart();
+        const plan = await this.getStoredPlan();
+        if (plan && plan.status !== "cancelled") await this.storePlan({ ...plan, status: "cancelled" });
+        return true;
+    }
+
+    /**
+     * Sofortstart (sendTo startNow): Planung verwerfen und performScheduledStart direkt ausführen
+     */
+    async startNow() {
+        if (await this._getProposedPlan()) {
+            await this._clearProposal();
+            const plan = await this.getStoredPlan();
+            await this.storePlan({ ...plan, status: "rejected" });
+        }
+        this._clearScheduledTimer();
+        await this.setStateAsync("scheduled", false, true);
+        await this.setStateAsync("startTime", new Date().toISOString(), true);
+        await this.setStatus("starting", "start now");
+        await this.sendNotification(this.t("plan.startNow"), "started");
+        if (await this.performScheduledStart()) this.startVerification();
+    }
+
+    /**
+     * Aktion aus Telegram-Button oder sendTo confirmPlan ausführen
+     */
+    async handlePlanAction(action) {
+        switch (action) {
+            case "accept": return this.acceptProposedPlan("user");
+            case "startNow": return this.startProposedPlanNow();
+            case "nextBest": return this.proposeNextBest();
+            case "cancel": return this.rejectProposedPlan(this.t("plan.cancelled"));
+            default: throw new Error(this.t("error.unknownAction", { action }));
+        }
+    }
+
+    // =========== Start-Verifikation ========================================
+
+    // Fenster je Versuch, in dem nach einem geplanten Start bzw. Sofortstart Leistung anliegen muss
+    get startVerifyMinutes() {
+        return Number(this.config.startVerifyMinutes) > 0 ? Number(this.config.startVerifyMinutes) : 5;
+    }
+
+    // Wiederholungen (Steckdose/Start-Trigger) bevor der Start als fehlgeschlagen gilt
+    get startRetries() {
+        const retries = Number(this.config.startRetries ?? 2);
+        return Number.isFinite(retries) ? Math.max(0, Math.floor(retries)) : 2;
+    }
+
+    startVerification() {
+        this._armStartVerification(0);
+    }
+
+    _armStartVerification(attempt) {
+        this.adapter.setApplianceTimer(`${this.id}_verify`, async () => {
+            try {
+                await this._verifyScheduledStart(attempt);
+            } catch (e) {
+                this.adapter.log.warn(`${this.name}: Start verification failed: ${e.message}`);
+            }
+        }, this.startVerifyMinutes * 60000);
+    }
+
+    /**
+     * Nach Ablauf des Fensters: liegt Leistung an, übernimmt die Start-Erkennung (erneut prüfen); sonst
+     * Schaltzustand prüfen und Start wiederholen, nach startRetries Wiederholungen Status error + Meldung
+     */
+    async _verifyScheduledStart(attempt) {
+        if (this.status !== "starting") {
+            await this.onStartVerificationEnded();
+            return;
+        }
+        const power = await this.getCurrentPower();
+        if (power > this.EPS) {
+            this.adapter.log.debug(`${this.name}: Start verification – power ${power}W present, waiting for run detection`);
+            this._armStartVerification(attempt);
+            return;
+        }
+        const switchOk = await this.isSwitchAcknowledged();
+        if (attempt < this.startRetries) {
+            this.adapter.log.warn(`${this.name}: Start not detected within ${this.startVerifyMinutes} min (${switchOk === false ? "switch not acknowledged" : "no power"}) – retry ${attempt + 1}/${this.startRetries}`);
+            await this.retryScheduledStart(switchOk);
+            this._armStartVerification(attempt + 1);
+            return;
+        }
+        await this.onStartVerificationEnded();
+        const reason = switchOk === false ? this.t("error.switchNotAcknowledged") : this.t("error.noStartPower", { minutes: this.startVerifyMinutes });
+        await this.setStatus("error", `start not detected after ${attempt + 1} attempts`);
+        await this.sendNotification(this.t("run.startFailed", { attempts: attempt + 1, reason }), "error");
+    }
+
+    /**
+     * Schaltzustand der Steckdose: true = eingeschaltet und vom Zieladapter bestätigt (ack),
+     * false = aus oder unbestätigt, null = keine Steckdose konfiguriert
+     */
+    async isSwitchAcknowledged() {
+        if (!this.config.switchStateId) return null;
+        try {
+            const state = await this.adapter.getForeignStateAsync(this.config.switchStateId);
+            return !!state && state.ack === true && [true, 1, "true", "on", "ON"].includes(state.val);
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Failed to read switch state: ${e.message}`);
+            return false;
+        }
+    }
+
+    // Wiederholung: Steckdose erneut schalten, falls nicht bestätigt, und Start-Trigger erneut auslösen
+    async retryScheduledStart(switchOk) {
+        if (this.config.switchStateId && !switchOk) {
+            try { await this.adapter.setForeignStateAsync(this.config.switchStateId, true); }
+            catch (e) { this.adapter.log.warn(`${this.name}: Failed to switch plug on: ${e.message}`); }
+        }
+        if (this.startTriggerStateId) {
+            this.adapter.setApplianceTimer(`${this.id}_trigger`, () => this.fireStartTrigger(), this.startTriggerDelayMs || 0);
+        }
+    }
+
+    // Optionaler Start-Trigger (z. B. SwitchBot), kein Zurücksetzen erforderlich
+    async fireStartTrigger() {
+        if (!this.startTriggerStateId) return;
+        try {
+            this.adapter.log.info(`${this.name}: Triggering start via ${this.startTriggerStateId}`);
+            await this.adapter.setForeignStateAsync(this.startTriggerStateId, true);
+        } catch (e) {
+            this.adapter.log.warn(`${this.name}: Failed to trigger start: ${e.message}`);
+        }
+    }
+
+    // Hook: Verifikation beendet, ohne dass ein Lauf erkannt wurde (abgebrochen oder fehlgeschlagen)
+    async onStartVerificationEnded() {}
+
     // =========== Generic Scheduling API ====================================
 
     async scheduleStartAt(startTime) {
@@ -300,6 +1900,7 @@ class BaseDevice {
         } else {
             this.adapter.log.info(`${this.name}: Scheduled start in ${Math.round(delay/60000)} minutes (${start.toLocaleString()})`);
             this._setScheduledTimer(delay);
+            await this.setStatus("planned", "start scheduled");
         }
     }
 
@@ -309,11 +1910,13 @@ class BaseDevice {
         if (sched?.val !== true) return;
         this._clearScheduledTimer();
         await this.setStateAsync(`scheduled`, false, true);
-        if (sendNotification) await this.sendNotification("Scheduled start cancelled");
+        if (this.status === "planned") await this.settleStatus("schedule cancelled");
+        if (sendNotification) await this.sendNotification(this.t("plan.scheduleCancelled"));
     }
 
     _setScheduledTimer(delay) {
         this._clearScheduledTimer();
+        this._scheduledTimerDue = Date.now() + delay;
         this._scheduledTimer = setTimeout(() => {
             this._scheduledTimer = null;
             this._executeScheduledStart();
@@ -352,17 +1955,25 @@ class BaseDevice {
             this.adapter.log.debug(`${this.name}: _executeScheduledStart aborted (flag false)`);
             return;
         }
+        const startTimeState = await this.getStateAsync(`startTime`);
+        this._pendingScheduledStart = { plannedStart: startTimeState?.val || null, executedAt: Date.now() };
         try {
-            await this.sendNotification("Executing scheduled start");
-            await this.performScheduledStart();
+            await this.setStatus("starting", "scheduled start");
+            await this.sendNotification(this.t("plan.scheduledStart"), "started");
+            if (await this.performScheduledStart()) this.startVerification();
         } catch (e) {
             this.adapter.log.warn(`${this.name}: performScheduledStart failed: ${e.message}`);
+            await this.setStatus("error", `scheduled start failed: ${e.message}`);
         } finally {
             // Default behavior: scheduled flag false, keep startTime for historical reference until real run detected
             await this.setStateAsync(`scheduled`, false, true);
         }
     }
 
+    /**
+     * Gerät starten (geplanter Start / Sofortstart)
+     * @returns {Promise<boolean>} true, wenn ein Start ausgelöst wurde – nur dann läuft die Start-Verifikation
+     */
     async performScheduledStart() {
         // Default implementation: switch on if switchStateId exists
         if (this.config.switchStateId) {
@@ -371,9 +1982,10 @@ class BaseDevice {
             } catch (e) {
                 this.adapter.log.warn(`${this.name}: Failed to switch on: ${e.message}`);
             }
-        } else {
-            this.adapter.log.debug(`${this.name}: performScheduledStart no switchStateId configured`);
+            return true;
         }
+        this.adapter.log.debug(`${this.name}: performScheduledStart no switchStateId configured`);
+        return false;
     }
 }
 
@@ -0,0 +1,60 @@
+"use strict";
+
+// Gerätestatus (State "status"): erlaubte Übergänge, Ruhestatus und Verlauf (Einträge als plain objects)
+
+// error darf jederzeit betreten und verlassen werden
+const STATUS_TRANSITIONS = {
+    idle: ["detecting", "planned", "starting", "running"],
+    detecting: ["idle", "planned", "starting", "running", "awaiting_unload"],
+    planned: ["idle", "detecting", "starting", "running", "awaiting_unload"],
+    starting: ["idle", "detecting", "planned", "running", "awaiting_unload"],
+    running: ["finishing", "finished"],
+    finishing: ["running", "finished"],
+    finished: ["idle", "detecting", "planned", "starting", "running", "awaiting_unload"],
+    awaiting_unload: ["idle", "detecting", "planned", "starting", "running"],
+    error: ["idle", "detecting", "planned", "starting", "running", "finishing", "finished", "awaiting_unload"],
+};
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+const HISTORY_SIZE = 20;
+
+function isStatus(status) {
+    return Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status);
+}
+
+/**
+ * Übergang from -> to zulässig? Ohne bisherigen Status (Start) ist alles erlaubt.
+ */
+function canTransition(from, to) {
+    if (!isStatus(to)) return false;
+    return !from || from === to || to === "error" || STATUS_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Ruhestatus aus den States: läuft > geplant/vorgeschlagen > nicht ausgeräumt > idle
+ */
+function restingStatus({ running, scheduled, proposed, unloaded } = {}) {
+    if (running === true) return "running";
+    if (scheduled === true || proposed === true) return "planned";
+    if (unloaded === false) return "awaiting_unload";
+    return "idle";
+}
+
+/**
+ * Übergang an den Verlauf anhängen, nur die letzten HISTORY_SIZE Einträge behalten
+ */
+function appendTransition(history, entry) {
+    const list = Array.isArray(history) ? history.slice() : [];
+    list.push(entry);
+    return list.slice(-HISTORY_SIZE);
+}
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    STATUSES,
+    HISTORY_SIZE,
+    isStatus,
+    canTransition,
+    restingStatus,
+    appendTransition,
+};
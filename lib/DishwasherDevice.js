@@ -22,7 +22,6 @@ class DishwasherDevice extends BaseDevice {
         this.startTimer = null;
         this.endTimer = null;
         this.postTimer = null;
-        this.dryTimer = null;
         this.lastAboveZeroTs = 0;
         this.lastFinishTs = 0;
         this.automaticStartInProgress = false; // Prevent manual detection during auto start
@@ -34,74 +33,13 @@ class DishwasherDevice extends BaseDevice {
     async createDeviceObjects(deviceId) {
         const dishwasherStates = [
             { id: "startDetected", common: { name: "Manual start detected", type: "boolean", role: "indicator", read: true, write: false, def: false } },
-            { id: "runtime",       common: { name: "Runtime in milliseconds", type: "number", role: "value", unit: "ms", read: true, write: false, def: 0 } },
-            { id: "avgPrice",      common: { name: "Average price for scheduled run (ct/kWh)", type: "number", role: "value", unit: "ct/kWh", read: true, write: false, def: 0 } }
+            { id: "runtime",       common: { name: "Runtime in milliseconds", type: "number", role: "value", unit: "ms", read: true, write: false, def: 0 } }
         ];
         for (const state of dishwasherStates) {
             await this.adapter.setObjectNotExistsAsync(`${deviceId}.${state.id}`, { type: "state", common: state.common, native: {} });
         }
     }
 
-    // ===================== Preis- und Scheduling-Helfer =====================
-
-    _buildPriceIntervals(prices) {
-        // Wandelt Tibber Einträge in Intervalle mit Start/Ende um (Ende = nächster startsAt)
-        const intervals = [];
-        for (let i = 0; i < prices.length - 1; i++) {
-            const start = new Date(prices[i].startsAt);
-            const next = new Date(prices[i + 1].startsAt);
-            if (next > start) {
-                intervals.push({ start, end: next, price: Number(prices[i].total) });
-            }
-        }
-        return intervals;
-    }
-
-    _findCheapestWindowByMinutes(prices, requiredMinutes, notBefore = new Date()) {
-        const intervals = this._buildPriceIntervals(prices).filter(iv => iv.end > notBefore);
-        if (intervals.length === 0) return null;
-
-        // Gesamtes verfügb. Ende
-        const globalEnd = intervals[intervals.length - 1].end;
-        const requiredMs = requiredMinutes * 60 * 1000;
-
-        // Kandidaten: alle Intervall-Starts >= notBefore und notBefore selbst (gerundet auf Minute)
-        const candidates = new Set();
-        const nb = new Date(notBefore.getTime()); nb.setSeconds(0, 0);
-        candidates.add(nb.getTime());
-        for (const iv of intervals) {
-            if (iv.start >= nb) candidates.add(iv.start.getTime());
-        }
-
-        let best = null;
-
-        for (const ts of candidates) {
-            const start = new Date(Number(ts));
-            const endWanted = new Date(start.getTime() + requiredMs);
-            if (endWanted > globalEnd) continue; // nicht vollständig abgedeckt
-
-            let remaining = requiredMs;
-            let cost = 0;
-            for (const iv of intervals) {
-                if (iv.end <= start) continue; // vor Fenster
-                if (iv.start >= endWanted) break; // hinter Fenster
-                const overlapStart = iv.start > start ? iv.start : start;
-                const overlapEnd = iv.end < endWanted ? iv.end : endWanted;
-                if (overlapEnd <= overlapStart) continue;
-                const overlapMs = overlapEnd - overlapStart;
-                cost += iv.price * (overlapMs / 60000); // Preis * Minuten
-                remaining -= overlapMs;
-                if (remaining <= 0) break;
-            }
-            if (remaining > 0) continue; // nicht vollständig abgedeckt
-            const avgPricePerMin = cost / requiredMinutes; // €/kWh Durchschnitt
-            if (!best || avgPricePerMin < best.avgPrice) {
-                best = { startTime: start, endTime: endWanted, avgPrice: avgPricePerMin };
-            }
-        }
-        return best;
-    }
-
     // ===================== State Handling & Power Detection =================
 
     async onStateChange(id, state) {
@@ -117,12 +55,14 @@ class DishwasherDevice extends BaseDevice {
     async handlePowerChange(power) {
         const now = Date.now();
         const isRunning = await this.getStateValue("running");
+        await this.trackPower(power, isRunning);
         const isScheduled = await this.getStateValue("scheduled");
         this.adapter.log.debug(`${this.name}: Power changed to ${power}W`);
 
         if (power > this.EPS) {
             this.lastAboveZeroTs = now;
             this.clearEndTimers();
+            await this.resumeRunning();
         }
 
         if (isRunning) {
@@ -137,6 +77,7 @@ class DishwasherDevice extends BaseDevice {
         if (power > this.EPS) {
             // Keine manuelle Start-Erkennung wenn automatischer Start noch in Progress
             if (!this.detectionTimer && !isScheduled && !this.automaticStartInProgress) {
+                await this.beginDetection("possible manual start");
                 this.detectionTimer = this.adapter.setApplianceTimer(
                     `${this.id}_detection`,
                     async () => {
@@ -151,6 +92,7 @@ class DishwasherDevice extends BaseDevice {
                     this.DETECT_TIME_MS
                 );
             } else if (!this.startTimer) {
+                await this.beginDetection();
                 this.startTimer = this.adapter.setApplianceTimer(
                     `${this.id}_start`,
                     async () => {
@@ -167,6 +109,7 @@ class DishwasherDevice extends BaseDevice {
         } else { // power <= EPS
             if (this.detectionTimer) { this.adapter.clearApplianceTimer(`${this.id}_detection`); this.detectionTimer = null; }
             if (this.startTimer) { this.adapter.clearApplianceTimer(`${this.id}_start`); this.startTimer = null; }
+            await this.cancelDetection();
         }
     }
 
@@ -177,49 +120,75 @@ class DishwasherDevice extends BaseDevice {
             return; // zu früh für End-Erkennung
         }
         if (power <= this.EPS && !this.endTimer) {
-            this.endTimer = this.adapter.setApplianceTimer(
-                `${this.id}_end`,
-                async () => {
-                    this.endTimer = null;
-                    const currentPower = await this.getCurrentPower();
-                    const longNoActivity = (Date.now() - this.lastAboveZeroTs) >= this.ZERO_GRACE_MS;
-                    if (currentPower <= this.EPS && longNoActivity) {
-                        this.postTimer = this.adapter.setApplianceTimer(
-                            `${this.id}_post`,
-                            async () => {
-                                this.postTimer = null;
-                                const finalPower = await this.getCurrentPower();
-                                if (finalPower <= this.EPS) {
-                                    await this.finishDevice();
-                                }
-                            },
-                            this.POST_CONFIRM_MS
-                        );
-                    }
-                },
-                this.ZERO_GRACE_MS
-            );
+            await this.beginFinishing();
+            this.endTimer = this.setPersistentTimer("end", this.ZERO_GRACE_MS, { lastAboveZeroTs: this.lastAboveZeroTs });
         }
     }
 
+    async onEndTimer() {
+        this.endTimer = null;
+        const currentPower = await this.getCurrentPower();
+        const longNoActivity = (Date.now() - this.lastAboveZeroTs) >= this.ZERO_GRACE_MS;
+        if (currentPower <= this.EPS && longNoActivity) {
+            this.postTimer = this.setPersistentTimer("post", this.POST_CONFIRM_MS);
+        }
+    }
+
+    async onPostTimer() {
+        this.postTimer = null;
+        const finalPower = await this.getCurrentPower();
+        if (finalPower <= this.EPS) {
+            await this.finishDevice();
+        }
+    }
+
+    // Ende-Erkennung und Sperrzeit überstehen einen Neustart (siehe BaseDevice.setPersistentTimer)
+    getTimerHandler(name) {
+        switch (name) {
+            case "end": return () => this.onEndTimer();
+            case "post": return () => this.onPostTimer();
+            case "cooldown": return async () => {};
+            default: return super.getTimerHandler(name);
+        }
+    }
+
+    onTimerRestored(name, payload) {
+        if (name === "end") {
+            this.endTimer = true;
+            this.lastAboveZeroTs = Number(payload.lastAboveZeroTs) || 0;
+        } else if (name === "post") {
+            this.postTimer = true;
+        } else if (name === "cooldown") {
+            this.lastFinishTs = Number(payload.finishedAt) || 0;
+        }
+        super.onTimerRestored(name, payload);
+    }
+
+    getCapabilities() {
+        return { ...super.getCapabilities(), manualStartDetection: true, dryReminder: true };
+    }
+
     async handleManualStart() {
         this.adapter.log.info(`${this.name}: Manual start confirmed - switching off and planning optimal start`);
         if (this.config.switchStateId) {
             await this.adapter.setForeignStateAsync(this.config.switchStateId, false);
         }
-        await this.sendNotification("Manual start detected - planning optimal restart time");
+        await this.sendNotification(this.t("run.manualStart"));
         await this.setStateAsync("startDetected", true, true);
-        setTimeout(async () => { await this.scheduleOptimalStart(); }, 2000);
+        setTimeout(async () => {
+            // Fehler wurden bereits per Benachrichtigung gemeldet
+            try { await this.scheduleOptimalStart(); } catch (e) { this.adapter.log.debug(`${this.name}: Planning after manual start failed: ${e.message}`); }
+        }, 2000);
     }
 
     async startDevice() {
         this.adapter.log.info(`${this.name}: Device started`);
         await this.setStateAsync("running", true, true);
+        await this.beginRun(await this.getCurrentPower());
         await this.setStateAsync("startTime", new Date().toISOString(), true);
         this.lastAboveZeroTs = Date.now();
-        await this.clearDryReminder();
         this.automaticStartInProgress = false; // falls auto
-        await this.sendNotification("Started");
+        await this.sendNotification(this.t("run.started"), "started");
     }
 
     async finishDevice() {
@@ -230,30 +199,25 @@ class DishwasherDevice extends BaseDevice {
         await this.setStateAsync("running", false, true);
         await this.setStateAsync("runtime", runtime, true);
         this.lastFinishTs = Date.now();
+        this.setPersistentTimer("cooldown", this.COOLDOWN_AFTER_MS, { finishedAt: this.lastFinishTs });
         this.clearEndTimers();
-        await this.sendNotification("Finished");
-        try {
-            await this.adapter.createTodoistTask({ content: `${this.name} ausräumen` });
-        } catch (e) {
-            this.adapter.log.warn(`${this.name}: Failed to create ToDoist task: ${e.message}`);
-        }
-        await this.scheduleDryReminder();
+        const energy = await this.completeRun(runtime);
+        await this.sendNotification(this.finishedText(energy), "finished");
+        await this.startUnloadReminders();
     }
 
-    async scheduleDryReminder() {
-        this.clearDryReminder();
-        this.dryTimer = this.adapter.setApplianceTimer(
-            `${this.id}_dry`,
-            async () => { await this.sendNotification("Dishes should be dry now - please unload"); this.dryTimer = null; },
-            this.DRY_REMINDER_MS
-        );
+    // Erste Erinnerung nach der Trocknungszeit, sofern keine eigenen Intervalle konfiguriert sind
+    get defaultReminderMinutes() {
+        return this.DRY_REMINDER_MS / 60000;
     }
 
-    clearDryReminder() { if (this.dryTimer) { this.adapter.clearApplianceTimer(`${this.id}_dry`); this.dryTimer = null; } }
+    unloadReminderText(count) {
+        return this.t(count === 1 ? "unload.dishwasher" : "unload.dishwasherRepeat", { count });
+    }
 
     clearEndTimers() {
-        if (this.endTimer) { this.adapter.clearApplianceTimer(`${this.id}_end`); this.endTimer = null; }
-        if (this.postTimer) { this.adapter.clearApplianceTimer(`${this.id}_post`); this.postTimer = null; }
+        if (this.endTimer) { this.clearPersistentTimer("end"); this.endTimer = null; }
+        if (this.postTimer) { this.clearPersistentTimer("post"); this.postTimer = null; }
     }
 
     async getCurrentPower() {
@@ -281,61 +245,38 @@ class DishwasherDevice extends BaseDevice {
         if (startDetected === null || startDetected === undefined) await this.setStateAsync("startDetected", false, true);
         if (runtime === null || runtime === undefined) await this.setStateAsync("runtime", 0, true);
         if (avgPrice === null || avgPrice === undefined) await this.setStateAsync("avgPrice", 0, true);
+        await this.migrateTodoistStates("unload", { main: "task_id" });
         // Generisches Scheduling wiederherstellen
         await this.restoreScheduledOperations();
     }
 
-    // =============== Minutengenaue optimale Planung =========================
-    async scheduleOptimalStart() {
-        try {
-            this.adapter.log.info(`${this.name}: Searching for optimal start window (${this.REQUIRED_MINUTES}min)`);
-            const prices = await this.adapter.getTibberPrices();
-            const optimal = this._findCheapestWindowByMinutes(prices, this.REQUIRED_MINUTES, new Date());
-            if (!optimal) throw new Error("No suitable window found");
-
-            const avgCt = (optimal.avgPrice * 100).toFixed(2);
-            await this.setStateAsync("avgPrice", parseFloat(avgCt), true);
-            await this.scheduleStartAt(optimal.startTime);
-
-            const fmtDate = d => `${d.getDate()}.${d.getMonth()+1}.${d.getFullYear()}`;
-            const fmtTime = d => `${d.getHours().toString().padStart(2,"0")}:${d.getMinutes().toString().padStart(2,"0")}`;
-            let msg = `Plan für \"${this.name}\" [${this.REQUIRED_MINUTES} min]:`;
-            msg += `\n- ${fmtDate(optimal.startTime)}, ${fmtTime(optimal.startTime)} → ${fmtTime(optimal.endTime)}`;
-            await this.sendNotification(msg);
-        } catch (error) {
-            this.adapter.log.error(`${this.name}: Optimization failed: ${error.message}`);
-            await this.sendNotification(`Tibber optimization failed: ${error.message}`);
-        }
-    }
-
     // Überschreibt performScheduledStart aus BaseDevice
     async performScheduledStart() {
-        // Set flag to suppress manual start detection
+        // Set flag to suppress manual start detection (bis Start erkannt oder Verifikation beendet)
         this.automaticStartInProgress = true;
 
         if (this.config.switchStateId) {
             try { await this.adapter.setForeignStateAsync(this.config.switchStateId, true); }
             catch (e) { this.adapter.log.warn(`${this.name}: Failed to switch on: ${e.message}`); }
+            return true;
         }
+        // Ohne Steckdose wird nichts ausgelöst – manuelle Start-Erkennung bleibt aktiv
+        this.automaticStartInProgress = false;
+        return false;
+    }
 
-        // Flag nach 5 Minuten wieder deaktivieren, falls Start nicht erkannt
-        setTimeout(() => {
-            if (this.automaticStartInProgress) {
-                this.automaticStartInProgress = false;
-                this.adapter.log.debug(`${this.name}: Automatic start flag timeout cleared`);
-            }
-        }, 5 * 60 * 1000);
+    async onStartVerificationEnded() {
+        this.automaticStartInProgress = false;
     }
 
     stop() {
         super.stop();
-        const timerKeys = [`${this.id}_detection`, `${this.id}_start`, `${this.id}_end`, `${this.id}_post`, `${this.id}_dry`];
+        const timerKeys = [`${this.id}_detection`, `${this.id}_start`, `${this.id}_end`, `${this.id}_post`, `${this.id}_cooldown`];
         timerKeys.forEach(key => this.adapter.clearApplianceTimer(key));
         this.detectionTimer = null;
         this.startTimer = null;
         this.endTimer = null;
         this.postTimer = null;
-        this.dryTimer = null;
     }
 }
 
@@ -7,36 +7,33 @@ class DryerDevice extends BaseDevice {
     constructor(adapter, config) {
         super(adapter, config);
 
-        // Dryer specific parameters - can be extended later
+        // Dryer specific parameters
         this.EPS = config.powerThreshold || 0.5;
         this.DETECT_TIME_MS = (config.detectTimeSeconds || 10) * 1000;
-        this.REQUIRED_HOURS = config.requiredHours || 2;
+        this.REQUIRED_MINUTES = config.requiredMinutes || (config.requiredHours ? config.requiredHours * 60 : 180); // Fallback 3h
+        this.MIN_RUNTIME_BEFORE_END = (config.minRuntimeMinutes || 30) * 60 * 1000;
+        this.ZERO_GRACE_MS = (config.zeroGraceMinutes || 5) * 60 * 1000;
+        this.POST_CONFIRM_MS = (config.postConfirmMinutes || 2) * 60 * 1000;
+        this.COOLDOWN_AFTER_MS = (config.cooldownMinutes || 10) * 60 * 1000;
+        this.startTriggerDelayMs = Number(config.startTriggerDelayMs || 5000);
+        this.startTriggerStateId = config.startTriggerStateId; // z.B. SwitchBot press
+
+        // Internal state
+        this.startTimer = null;
+        this.endTimer = null;
+        this.postTimer = null;
+        this.lastAboveZeroTs = 0;
+        this.lastFinishTs = 0;
+
+        // Aktiviert generische Scheduling-Infrastruktur aus BaseDevice
+        this.genericScheduling = true;
     }
 
     async createDeviceObjects(deviceId) {
         const dryerStates = [
-            {
-                id: "program",
-                common: {
-                    name: "Current drying program",
-                    type: "string",
-                    role: "value",
-                    read: true,
-                    write: false,
-                    def: ""
-                }
-            },
-            {
-                id: "dryLevel",
-                common: {
-                    name: "Target dry level",
-                    type: "string",
-                    role: "value",
-                    read: true,
-                    write: false,
-                    def: ""
-                }
-            }
+            { id: "program",  common: { name: "Current drying program", type: "string", role: "value", read: true, write: false, def: "" } },
+            { id: "dryLevel", common: { name: "Target dry level", type: "string", role: "value", read: true, write: false, def: "" } },
+            { id: "runtime",  common: { name: "Runtime in milliseconds", type: "number", role: "value", unit: "ms", read: true, write: false, def: 0 } }
         ];
 
         for (const state of dryerStates) {
@@ -48,13 +45,236 @@ class DryerDevice extends BaseDevice {
         }
     }
 
+    // ===================== State Handling & Power Detection =================
+
     async onStateChange(id, state) {
-        // Basic power monitoring - can be extended similar to DishwasherDevice
+        this.adapter.log.debug(`${this.name}: State change detected - ID: ${id}, Value: ${state?.val}, ACK: ${state?.ack}`);
         if (id === this.config.powerStateId) {
-            const power = parseFloat(state.val) || 0;
-            this.adapter.log.debug(`${this.name}: Power changed to ${power}W`);
-            // TODO: Implement similar logic to DishwasherDevice
+            await this.handlePowerChange(parseFloat(state.val) || 0);
+        } else {
+            // generisches Scheduling (Base) übernimmt restliche own states
+            await super.onStateChange(id, state);
+        }
+    }
+
+    async handlePowerChange(power) {
+        const now = Date.now();
+        const isRunning = await this.getStateValue("running");
+        await this.trackPower(power, isRunning);
+        this.adapter.log.debug(`${this.name}: Power changed to ${power}W`);
+
+        if (power > this.EPS) {
+            this.lastAboveZeroTs = now;
+            this.clearEndTimers();
+            await this.resumeRunning();
+        }
+
+        if (isRunning) {
+            await this.handleEndDetection(power, now);
+        } else {
+            await this.handleStartDetection(power, now);
+        }
+    }
+
+    async handleStartDetection(power, now) {
+        if (now - this.lastFinishTs < this.COOLDOWN_AFTER_MS) return;
+        if (power > this.EPS) {
+            // Manuelle wie geplante Starts werden gleich behandelt: Leistung muss DETECT_TIME_MS anliegen
+            if (!this.startTimer) {
+                await this.beginDetection();
+                this.startTimer = this.adapter.setApplianceTimer(
+                    `${this.id}_start`,
+                    async () => {
+                        this.startTimer = null;
+                        const currentPower = await this.getCurrentPower();
+                        const currentRunning = await this.getStateValue("running");
+                        if (currentPower > this.EPS && !currentRunning) {
+                            await this.startDevice();
+                        }
+                    },
+                    this.DETECT_TIME_MS
+                );
+            }
+        } else if (this.startTimer) {
+            this.adapter.clearApplianceTimer(`${this.id}_start`);
+            this.startTimer = null;
+            await this.cancelDetection();
+        }
+    }
+
+    async handleEndDetection(power, now) {
+        const startTime = await this.getStateValue("startTime");
+        const runTime = now - (startTime ? new Date(startTime).getTime() : now);
+        if (runTime < this.MIN_RUNTIME_BEFORE_END) {
+            return; // zu früh für End-Erkennung
+        }
+        if (power <= this.EPS && !this.endTimer) {
+            await this.beginFinishing();
+            this.endTimer = this.setPersistentTimer("end", this.ZERO_GRACE_MS, { lastAboveZeroTs: this.lastAboveZeroTs });
+        }
+    }
+
+    async onEndTimer() {
+        this.endTimer = null;
+        const currentPower = await this.getCurrentPower();
+        const longNoActivity = (Date.now() - this.lastAboveZeroTs) >= this.ZERO_GRACE_MS;
+        if (currentPower <= this.EPS && longNoActivity) {
+            this.postTimer = this.setPersistentTimer("post", this.POST_CONFIRM_MS);
+        }
+    }
+
+    async onPostTimer() {
+        this.postTimer = null;
+        const finalPower = await this.getCurrentPower();
+        if (finalPower <= this.EPS) {
+            await this.finishDevice();
+        }
+    }
+
+    // Wie bei der Spülmaschine: Ende-Erkennung und Sperrzeit als persistente Timer
+    getTimerHandler(name) {
+        switch (name) {
+            case "end": return () => this.onEndTimer();
+            case "post": return () => this.onPostTimer();
+            case "cooldown": return async () => {};
+            default: return super.getTimerHandler(name);
+        }
+    }
+
+    onTimerRestored(name, payload) {
+        if (name === "end") {
+            this.endTimer = true;
+            this.lastAboveZeroTs = Number(payload.lastAboveZeroTs) || 0;
+        } else if (name === "post") {
+            this.postTimer = true;
+        } else if (name === "cooldown") {
+            this.lastFinishTs = Number(payload.finishedAt) || 0;
+        }
+        super.onTimerRestored(name, payload);
+    }
+
+    async startDevice() {
+        this.adapter.log.info(`${this.name}: Device started`);
+        await this.setStateAsync("running", true, true);
+        await this.beginRun(await this.getCurrentPower());
+        await this.setStateAsync("startTime", new Date().toISOString(), true);
+        // Sicherstellen dass scheduled zurückgesetzt ist
+        const scheduled = await this.getStateValue("scheduled");
+        if (scheduled) {
+            this._clearScheduledTimer();
+            await this.setStateAsync("scheduled", false, true);
         }
+        this.lastAboveZeroTs = Date.now();
+        await this.sendNotification(this.t("run.started"), "started");
+    }
+
+    async finishDevice() {
+        if (this.lastFinishTs && (Date.now() - this.lastFinishTs) < this.COOLDOWN_AFTER_MS) return;
+        this.adapter.log.info(`${this.name}: Device finished`);
+        const startTime = await this.getStateValue("startTime");
+        const runtime = Date.now() - (startTime ? new Date(startTime).getTime() : Date.now());
+        await this.setStateAsync("running", false, true);
+        await this.setStateAsync("runtime", runtime, true);
+        this.lastFinishTs = Date.now();
+        this.setPersistentTimer("cooldown", this.COOLDOWN_AFTER_MS, { finishedAt: this.lastFinishTs });
+        this.clearEndTimers();
+        const energy = await this.completeRun(runtime);
+        await this.sendNotification(this.finishedText(energy), "finished");
+        // Aufgaben der Waschmaschine(n), deren Wäsche hier trocknet
+        for (const device of this.adapter.devices.values()) {
+            if (typeof device.findLinkedDryer === "function" && device.findLinkedDryer() === this) {
+                await device.todoistEvent("dryerFinish", { dryer: this.name });
+            }
+        }
+        await this.startUnloadReminders();
+    }
+
+    unloadReminderText(count) {
+        return this.t(count === 1 ? "unload.dryer" : "unload.dryerRepeat", { count });
+    }
+
+    clearEndTimers() {
+        if (this.endTimer) { this.clearPersistentTimer("end"); this.endTimer = null; }
+        if (this.postTimer) { this.clearPersistentTimer("post"); this.postTimer = null; }
+    }
+
+    async getCurrentPower() {
+        if (!this.config.powerStateId) return 0;
+        const state = await this.adapter.getForeignStateAsync(this.config.powerStateId);
+        return parseFloat(state?.val) || 0;
+    }
+
+    async getStateValue(stateName) {
+        const state = await this.getStateAsync(stateName);
+        return state?.val;
+    }
+
+    async initializeStates() {
+        // Konservative Initialisierung (bestehende Werte nicht überschreiben)
+        const defaults = { running: false, scheduled: false, startTime: "", program: "", dryLevel: "", runtime: 0, avgPrice: 0 };
+        for (const [key, def] of Object.entries(defaults)) {
+            const val = await this.getStateValue(key);
+            if (val === null || val === undefined) await this.setStateAsync(key, def, true);
+        }
+        // Generisches Scheduling wiederherstellen
+        await this.restoreScheduledOperations();
+    }
+
+    getCapabilities() {
+        return { ...super.getCapabilities(), programSelection: true };
+    }
+
+    async setProgram(program, dryLevel) {
+        await this.setStateAsync("program", program ? String(program) : "", true);
+        await this.setStateAsync("dryLevel", dryLevel ? String(dryLevel) : "", true);
+    }
+
+    // Trocknerprogramm steht bei geplanten Starts im eigenen State (auch bei Übergabe von der Waschmaschine)
+    async resolveRunProgram(scheduled) {
+        if (!scheduled) return "";
+        const program = await this.getStateValue("program");
+        return program ? String(program) : super.resolveRunProgram(scheduled);
+    }
+
+    // Manuell gestartete Läufe bekommen das erkannte Programm (Trocknungsgrad bleibt unbekannt)
+    async onProgramDetected(program) {
+        await this.setProgram(program, "");
+    }
+
+    // =============== Minutengenaue optimale Planung =========================
+    async scheduleOptimalStart(params = {}, options = {}) {
+        const optimal = await super.scheduleOptimalStart(params, options);
+        // Neuoptimierung behält Programm und Trocknungsgrad
+        if (optimal && !options.reoptimize) await this.setProgram(params.program, params.dryLevel);
+        return optimal;
+    }
+
+    // Überschreibt performScheduledStart aus BaseDevice
+    async performScheduledStart() {
+        const running = await this.getStateValue("running");
+        if (running) {
+            this.adapter.log.warn(`${this.name}: performScheduledStart aborted – already running`);
+            return false;
+        }
+        // Steckdose einschalten
+        if (this.config.switchStateId) {
+            try { await this.adapter.setForeignStateAsync(this.config.switchStateId, true); }
+            catch (e) { this.adapter.log.warn(`${this.name}: Failed to switch plug on: ${e.message}`); }
+        }
+        // Optionaler Start-Trigger (SwitchBot) nach Delay
+        if (this.startTriggerStateId) {
+            this.adapter.setApplianceTimer(`${this.id}_trigger`, () => this.fireStartTrigger(), this.startTriggerDelayMs);
+        }
+        return !!(this.config.switchStateId || this.startTriggerStateId);
+    }
+
+    stop() {
+        super.stop();
+        const timerKeys = [`${this.id}_start`, `${this.id}_end`, `${this.id}_post`, `${this.id}_trigger`, `${this.id}_cooldown`];
+        timerKeys.forEach(key => this.adapter.clearApplianceTimer(key));
+        this.startTimer = null;
+        this.endTimer = null;
+        this.postTimer = null;
     }
 }
 
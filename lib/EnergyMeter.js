@@ -0,0 +1,90 @@
+"use strict";
+
+const PriceOptimizer = require("./PriceOptimizer");
+
+const BUCKET_MS = 15 * 60 * 1000; // passt auf Viertelstunden- und Stundenpreise
+
+/**
+ * Integriert die Leistungswerte eines Laufs (W) zu Energie je Viertelstunde und
+ * berechnet daraus mit den jeweils aktiven Preis-Slots die tatsächlichen Kosten.
+ * Leistungswerte gelten bis zum nächsten Sample (Steckdosen melden bei Änderung).
+ */
+class EnergyMeter {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.active = false;
+        this.startTs = 0;
+        this.lastTs = 0;
+        this.lastPower = 0;
+        this.buckets = new Map(); // bucketStart (ms) -> Wh
+        this.priceSlots = [];     // Preis-Snapshot vom Laufbeginn (falls Vortagespreise später fehlen)
+    }
+
+    start(power = 0, ts = Date.now()) {
+        this.reset();
+        this.active = true;
+        this.startTs = ts;
+        this.lastTs = ts;
+        this.lastPower = Math.max(0, Number(power) || 0);
+    }
+
+    setPriceSnapshot(prices) {
+        this.priceSlots = Array.isArray(prices) ? prices : [];
+    }
+
+    addSample(power, ts = Date.now()) {
+        if (!this.active) return;
+        this._integrate(ts);
+        this.lastPower = Math.max(0, Number(power) || 0);
+    }
+
+    _integrate(ts) {
+        let from = this.lastTs;
+        if (ts <= from) return;
+        while (from < ts) {
+            const bucket = Math.floor(from / BUCKET_MS) * BUCKET_MS;
+            const to = Math.min(ts, bucket + BUCKET_MS);
+            const wh = this.lastPower * (to - from) / 3600000;
+            this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + wh);
+            from = to;
+        }
+        this.lastTs = ts;
+    }
+
+    get energyKWh() {
+        let wh = 0;
+        for (const v of this.buckets.values()) wh += v;
+        return wh / 1000;
+    }
+
+    /**
+     * Lauf abschließen und Kosten berechnen. Slots ohne Preis zählen zur Energie, nicht zu den Kosten.
+     * @returns {{energyKWh: number, cost: number, avgPrice: number|null, unpricedKWh: number}}
+     */
+    finish(prices, ts = Date.now()) {
+        this._integrate(ts);
+        this.active = false;
+        let cost = 0;
+        let pricedKWh = 0;
+        let unpricedKWh = 0;
+        for (const [bucket, wh] of this.buckets) {
+            const kWh = wh / 1000;
+            let price = PriceOptimizer.priceAt(prices, bucket);
+            if (price === null) price = PriceOptimizer.priceAt(this.priceSlots, bucket);
+            if (price === null) { unpricedKWh += kWh; continue; }
+            cost += kWh * price;
+            pricedKWh += kWh;
+        }
+        return {
+            energyKWh: pricedKWh + unpricedKWh,
+            cost,
+            avgPrice: pricedKWh > 0 ? cost / pricedKWh : null,
+            unpricedKWh
+        };
+    }
+}
+
+module.exports = EnergyMeter;
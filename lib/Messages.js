@@ -0,0 +1,288 @@
+"use strict";
+
+// Meldungskatalog (Deutsch/Englisch) für Benachrichtigungen, Fehlermeldungen und Aufgaben-Texte.
+// Schlüssel je Ereignis, Platzhalter {name}; eigene Vorlagen (messageTemplates) überschreiben den Katalog.
+
+const DEFAULT_LANGUAGE = "de";
+
+const LOCALES = {
+    de: "de-DE",
+    en: "en-GB",
+};
+
+const CATALOG = {
+    de: {
+        // Ereignistypen (z. B. E-Mail-Betreff)
+        "event.planned": "Planung",
+        "event.started": "Gestartet",
+        "event.finished": "Fertig",
+        "event.reminder": "Erinnerung",
+        "event.error": "Fehler",
+        "event.info": "Info",
+
+        // Lauf
+        "run.started": "Gestartet",
+        "run.finished": "Fertig",
+        "run.finishedSummary": "Fertig – {summary}",
+        "run.summary": "{energy} kWh",
+        "run.summaryCost": "{energy} kWh, {cost} € ({avgPrice} ct/kWh)",
+        "run.manualStart": "Manueller Start erkannt – optimaler Startzeitpunkt wird geplant",
+        "run.pvEarlyStart": "PV-Überschuss {power} W seit {minutes} min – Start wird vorgezogen",
+        "run.finishingSoon": "Fertig in ca. {minutes} min (gegen {end})",
+        "run.startFailed": "Geplanter Start fehlgeschlagen nach {attempts} Versuchen: {reason}",
+
+        // Ausräumen
+        "unload.reminder": "Fertig – bitte ausräumen",
+        "unload.reminderRepeat": "Erinnerung {count}: noch nicht ausgeräumt",
+        "unload.dishwasher": "Geschirr sollte jetzt trocken sein – bitte ausräumen",
+        "unload.dishwasherRepeat": "Erinnerung {count}: Geschirr noch nicht ausgeräumt",
+        "unload.washingmachine": "Wäsche ist fertig – bitte ausräumen",
+        "unload.washingmachineRepeat": "Erinnerung {count}: Wäsche noch in der Waschmaschine",
+        "unload.dryer": "Trocknen fertig – bitte Wäsche entnehmen",
+        "unload.dryerRepeat": "Erinnerung {count}: Wäsche noch im Trockner",
+
+        // Planung
+        "plan.header": "Plan für \"{device}\" [{minutes} min]:",
+        "plan.window": "{date}, {start} → {end}",
+        "plan.program": "Programm: {program}",
+        "plan.finishBy": "Fertig bis: {date}, {time}",
+        "plan.failed": "Planung fehlgeschlagen: {error}",
+        "plan.reoptimized": "Neu optimiert nach Preis-Update (bisher {start}, Ø {avgPrice} ct/kWh)",
+        "plan.recurring": "Wiederkehrende Regel '{rule}'",
+        "plan.shifted": "Verschoben von {start} ({reason})",
+        "plan.powerLimit": "Leistungsgrenze {limit} W, belegt durch {conflicts}",
+        "plan.powerConflict": "{device} {start}–{end} ({power} W)",
+        "plan.waitingAutoAccept": "Wartet auf Bestätigung (automatisch angenommen in {minutes} min)",
+        "plan.waitingUntilStart": "Wartet auf Bestätigung (verfällt zum geplanten Start)",
+        "plan.accepted": "Plan angenommen – Start {start}",
+        "plan.autoAccepted": "Plan automatisch angenommen – Start {start}",
+        "plan.rejected": "Plan verworfen",
+        "plan.cancelled": "Plan abgebrochen",
+        "plan.expired": "Vorschlag ohne Bestätigung verfallen",
+        "plan.nextBest": "Nächstbestes Fenster: {window}",
+        "plan.nextBestPrice": "Nächstbestes Fenster: {window} (Ø {avgPrice} ct/kWh)",
+        "plan.startNow": "Sofortstart ausgelöst",
+        "plan.scheduledStart": "Geplanter Start wird ausgeführt",
+        "plan.scheduleCancelled": "Geplanter Start abgebrochen",
+
+        // Buttons
+        "action.accept": "✅ Annehmen",
+        "action.startNow": "▶️ Jetzt starten",
+        "action.nextBest": "⏭ Nächstbestes Fenster",
+        "action.cancel": "✖️ Abbrechen",
+        "action.ok": "OK",
+
+        // Waschmaschine
+        "washer.planHeader": "Plan für Waschprogramm '{program}' [{washMinutes} min]:",
+        "washer.planHeaderDryer": "Plan für Waschprogramm '{program}' [{washMinutes} min + {dryMinutes} min]:",
+        "washer.wash": "Waschen {date}, {start} → {end}",
+        "washer.dry": "Trockner {date}, {start} → {end}",
+        "washer.buffer": "Transfer Buffer: {minutes} min (Zeit zum Umladen)",
+        "washer.planFailed": "Planung für '{program}' fehlgeschlagen: {error}",
+        "washer.transfer": "Waschen fertig – bitte Wäsche jetzt in den Trockner ({dryer}) umladen",
+        "washer.transferStart": "Trocknerstart: {start}",
+        "washer.transferNoDryer": "Waschen fertig – bitte Wäsche in den Trockner umladen (kein Trockner verknüpft)",
+        "washer.transferReminder": "Erinnerung {count}: Wäsche noch nicht im Trockner ({dryer})",
+        "washer.dryerIdle": "⚠️ Trocknerstart erreicht, aber {dryer} zeigt keine Leistung – Wäsche noch in der Waschmaschine?",
+
+        // Fehler
+        "error.invalidEarliestStart": "Ungültiger frühester Start: '{value}'",
+        "error.invalidDeadline": "Ungültige Deadline: '{value}'",
+        "error.deadlineUnreachable": "Deadline {deadline} nicht erreichbar: {minutes} min Laufzeit ab {start}",
+        "error.noWindow": "Kein passendes Fenster für {minutes} min gefunden",
+        "error.noWindowDeadline": "Kein passendes Fenster für {minutes} min mit Ende bis {deadline}",
+        "error.noProgramWindow": "Kein passendes Zeitfenster für '{program}' gefunden",
+        "error.noProgramWindowDeadline": "Kein passendes Zeitfenster für '{program}' mit Ende bis {deadline}",
+        "error.noPrices": "Keine Preisdaten verfügbar",
+        "error.noProposal": "Kein Plan wartet auf Bestätigung",
+        "error.noAlternative": "Kein weiteres Zeitfenster verfügbar",
+        "error.unknownAction": "Unbekannte Aktion '{action}'",
+        "error.switchNotAcknowledged": "Steckdose hat das Einschalten nicht bestätigt",
+        "error.noStartPower": "keine Leistungsaufnahme innerhalb von {minutes} min",
+
+        // sendTo-Befehle
+        "command.unknown": "Unbekannter Befehl '{command}'",
+        "command.missingParameter": "Parameter '{parameter}' fehlt",
+        "command.deviceNotFound": "Gerät '{device}' nicht gefunden",
+        "command.notWashingMachine": "Gerät '{device}' ist keine Waschmaschine",
+        "command.noScheduling": "Gerät '{device}' unterstützt kein Scheduling",
+        "command.deviceBusy": "Gerät '{device}' läuft bereits",
+        "command.noPrograms": "Keine Waschprogramme konfiguriert",
+        "command.programNotFound": "Waschprogramm '{program}' nicht gefunden",
+        "command.programAmbiguous": "Programm '{program}' gibt es an mehreren Waschmaschinen ({devices}) – Parameter 'device' angeben",
+        "command.invalidDuration": "Ungültige Dauer für Waschprogramm '{program}'",
+        "command.invalidDate": "Ungültiges Datumsformat: '{value}' (erwartet dd.mm.yyyy HH:MM)",
+        "command.ruleNotFound": "Regel '{rule}' nicht gefunden",
+        "command.ruleReadOnly": "Regel '{rule}' stammt aus der Instanz-Konfiguration und ist nur dort änderbar",
+        "command.invalidDays": "Ungültige Wochentage: '{value}' (z. B. Mo-Fr, Sa,So, werktags)",
+        "command.invalidTime": "Ungültige Uhrzeit: '{value}' (erwartet HH:MM)",
+        "command.invalidRuleDuration": "Ungültige Laufzeit: '{value}'",
+        "command.blockedWindow": "Start von '{device}' fällt in eine gesperrte Zeit ({window}) – mit force: true trotzdem einplanen",
+        "window.forbidden": "Sperrzeit {window}",
+        "window.outsideAllowed": "außerhalb der Betriebszeiten {windows}",
+    },
+    en: {
+        "event.planned": "Planning",
+        "event.started": "Started",
+        "event.finished": "Finished",
+        "event.reminder": "Reminder",
+        "event.error": "Error",
+        "event.info": "Info",
+
+        "run.started": "Started",
+        "run.finished": "Finished",
+        "run.finishedSummary": "Finished – {summary}",
+        "run.summary": "{energy} kWh",
+        "run.summaryCost": "{energy} kWh, {cost} € ({avgPrice} ct/kWh)",
+        "run.manualStart": "Manual start detected – planning optimal restart time",
+        "run.pvEarlyStart": "PV surplus {power} W for {minutes} min – starting early",
+        "run.finishingSoon": "Finishing in about {minutes} min (around {end})",
+        "run.startFailed": "Scheduled start failed after {attempts} attempts: {reason}",
+        "error.switchNotAcknowledged": "Plug did not acknowledge switching on",
+        "error.noStartPower": "no power draw within {minutes} min",
+
+        "unload.reminder": "Finished – please unload",
+        "unload.reminderRepeat": "Reminder {count}: not unloaded yet",
+        "unload.dishwasher": "Dishes should be dry now – please unload",
+        "unload.dishwasherRepeat": "Reminder {count}: dishes not unloaded yet",
+        "unload.washingmachine": "Laundry is done – please unload",
+        "unload.washingmachineRepeat": "Reminder {count}: laundry still in the washing machine",
+        "unload.dryer": "Drying finished – please take out the laundry",
+        "unload.dryerRepeat": "Reminder {count}: laundry still in the dryer",
+
+        "plan.header": "Plan for \"{device}\" [{minutes} min]:",
+        "plan.window": "{date}, {start} → {end}",
+        "plan.program": "Program: {program}",
+        "plan.finishBy": "Finish by: {date}, {time}",
+        "plan.failed": "Planning failed: {error}",
+        "plan.reoptimized": "Re-optimized after price update (previously {start}, avg. {avgPrice} ct/kWh)",
+        "plan.recurring": "Recurring rule '{rule}'",
+        "plan.shifted": "Shifted from {start} ({reason})",
+        "plan.powerLimit": "Power limit {limit} W, occupied by {conflicts}",
+        "plan.powerConflict": "{device} {start}–{end} ({power} W)",
+        "plan.waitingAutoAccept": "Waiting for confirmation (accepted automatically in {minutes} min)",
+        "plan.waitingUntilStart": "Waiting for confirmation (expires at the planned start)",
+        "plan.accepted": "Plan accepted – start {start}",
+        "plan.autoAccepted": "Plan accepted automatically – start {start}",
+        "plan.rejected": "Plan rejected",
+        "plan.cancelled": "Plan cancelled",
+        "plan.expired": "Proposal expired without confirmation",
+        "plan.nextBest": "Next best window: {window}",
+        "plan.nextBestPrice": "Next best window: {window} (avg. {avgPrice} ct/kWh)",
+        "plan.startNow": "Immediate start triggered",
+        "plan.scheduledStart": "Executing scheduled start",
+        "plan.scheduleCancelled": "Scheduled start cancelled",
+
+        "action.accept": "✅ Accept",
+        "action.startNow": "▶️ Start now",
+        "action.nextBest": "⏭ Next best window",
+        "action.cancel": "✖️ Cancel",
+        "action.ok": "OK",
+
+        "washer.planHeader": "Plan for washing program '{program}' [{washMinutes} min]:",
+        "washer.planHeaderDryer": "Plan for washing program '{program}' [{washMinutes} min + {dryMinutes} min]:",
+        "washer.wash": "Washing {date}, {start} → {end}",
+        "washer.dry": "Dryer {date}, {start} → {end}",
+        "washer.buffer": "Transfer buffer: {minutes} min (time to move the laundry)",
+        "washer.planFailed": "Planning for '{program}' failed: {error}",
+        "washer.transfer": "Washing finished – please move the laundry to the dryer ({dryer}) now",
+        "washer.transferStart": "Dryer start: {start}",
+        "washer.transferNoDryer": "Washing finished – please move the laundry to the dryer (no dryer linked)",
+        "washer.transferReminder": "Reminder {count}: laundry not in the dryer yet ({dryer})",
+        "washer.dryerIdle": "⚠️ Dryer start reached, but {dryer} shows no power – laundry still in the washing machine?",
+
+        "error.invalidEarliestStart": "Invalid earliest start: '{value}'",
+        "error.invalidDeadline": "Invalid deadline: '{value}'",
+        "error.deadlineUnreachable": "Deadline {deadline} not reachable: {minutes} min runtime from {start}",
+        "error.noWindow": "No suitable window found for {minutes} min",
+        "error.noWindowDeadline": "No suitable window for {minutes} min finishing by {deadline}",
+        "error.noProgramWindow": "No suitable time slot found for '{program}'",
+        "error.noProgramWindowDeadline": "No suitable time slot for '{program}' finishing by {deadline}",
+        "error.noPrices": "No price data available",
+        "error.noProposal": "No plan is waiting for confirmation",
+        "error.noAlternative": "No further time window available",
+        "error.unknownAction": "Unknown action '{action}'",
+
+        "command.unknown": "Unknown command '{command}'",
+        "command.missingParameter": "Parameter '{parameter}' is missing",
+        "command.deviceNotFound": "Device '{device}' not found",
+        "command.notWashingMachine": "Device '{device}' is not a washing machine",
+        "command.noScheduling": "Device '{device}' does not support scheduling",
+        "command.deviceBusy": "Device '{device}' is already running",
+        "command.noPrograms": "No washing programs configured",
+        "command.programNotFound": "Washing program '{program}' not found",
+        "command.programAmbiguous": "Program '{program}' exists on several washing machines ({devices}) – specify parameter 'device'",
+        "command.invalidDuration": "Invalid duration for washing program '{program}'",
+        "command.invalidDate": "Invalid date format: '{value}' (expected dd.mm.yyyy HH:MM)",
+        "command.ruleNotFound": "Rule '{rule}' not found",
+        "command.ruleReadOnly": "Rule '{rule}' comes from the instance configuration and can only be changed there",
+        "command.invalidDays": "Invalid weekdays: '{value}' (e.g. Mon-Fri, Sat,Sun, weekdays)",
+        "command.invalidTime": "Invalid time: '{value}' (expected HH:MM)",
+        "command.invalidRuleDuration": "Invalid duration: '{value}'",
+        "command.blockedWindow": "Start of '{device}' falls into a blocked time ({window}) – use force: true to schedule anyway",
+        "window.forbidden": "forbidden window {window}",
+        "window.outsideAllowed": "outside the operating windows {windows}",
+    },
+};
+
+/**
+ * Platzhalter {name} ersetzen; unbekannte bleiben stehen
+ */
+function render(text, vars = {}) {
+    return String(text || "").replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+}
+
+/**
+ * Sprache aus Adapter-Einstellung ("" / "system" = ioBroker-Systemsprache); nicht unterstützte Sprachen -> Englisch
+ */
+function resolveLanguage(setting, systemLanguage) {
+    const wanted = String(setting && setting !== "system" ? setting : systemLanguage || DEFAULT_LANGUAGE).toLowerCase().slice(0, 2);
+    return CATALOG[wanted] ? wanted : "en";
+}
+
+class Messages {
+    /**
+     * @param {string} [language] de | en
+     * @param {Array<{key: string, text: string}>} [templates] eigene Vorlagen aus der Konfiguration
+     */
+    constructor(language = DEFAULT_LANGUAGE, templates = []) {
+        this.language = CATALOG[language] ? language : DEFAULT_LANGUAGE;
+        this.locale = LOCALES[this.language];
+        this.overrides = {};
+        for (const entry of Array.isArray(templates) ? templates : []) {
+            const key = entry && String(entry.key || "").trim();
+            if (key && entry.text) this.overrides[key] = String(entry.text);
+        }
+    }
+
+    /**
+     * Text zum Schlüssel: eigene Vorlage > Katalog der Sprache > deutscher Katalog > Schlüssel
+     */
+    t(key, vars = {}) {
+        const text = this.overrides[key] ?? CATALOG[this.language][key] ?? CATALOG[DEFAULT_LANGUAGE][key] ?? key;
+        return render(text, vars);
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString(this.locale, { day: "numeric", month: "numeric", year: "numeric" });
+    }
+
+    formatTime(date) {
+        return new Date(date).toLocaleTimeString(this.locale, { hour: "2-digit", minute: "2-digit", hour12: false });
+    }
+
+    formatDateTime(date) {
+        return `${this.formatDate(date)}, ${this.formatTime(date)}`;
+    }
+
+    formatNumber(value, digits = 2) {
+        return Number(value).toLocaleString(this.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+}
+
+module.exports = {
+    CATALOG,
+    Messages,
+    render,
+    resolveLanguage,
+};
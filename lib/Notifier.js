@@ -0,0 +1,205 @@
+"use strict";
+
+// Benachrichtigungen: Kanäle (Telegram, Pushover, E-Mail, Signal, WhatsApp, Notification-Manager)
+// plus Routing je Gerät und Ereignis
+
+const EVENTS = ["planned", "started", "finished", "reminder", "error", "info"];
+
+/**
+ * Basisklasse: format() erzeugt die kanalspezifische Nutzlast, send() liefert sie aus
+ */
+class NotificationChannel {
+    constructor(adapter, config) {
+        this.adapter = adapter;
+        this.config = config || {};
+        this.name = this.config.name || this.config.type;
+    }
+
+    // Ohne Gerätebezug (z. B. Adapter-Meldungen) bleibt der Text unverändert
+    plainText({ device, text }) {
+        return device ? `${device}: ${text}` : text;
+    }
+
+    format(notification) {
+        return { text: this.plainText(notification) };
+    }
+
+    async send(notification) {
+        await this.adapter.sendToAsync(this.config.instance, "send", this.format(notification));
+    }
+}
+
+class TelegramChannel extends NotificationChannel {
+    static escapeMarkdown(text) {
+        return String(text).replace(/([_*`[])/g, "\\$1");
+    }
+
+    // Callback-Daten (max. 64 Bytes): <Präfix der Instanz>:<Aktion>:<Geräte-ID>
+    static callbackPrefix(adapter) {
+        return `sa${adapter.instance || 0}`;
+    }
+
+    static parseCallback(adapter, data) {
+        const parts = String(data || "").split(":");
+        if (parts.length < 3 || parts[0] !== TelegramChannel.callbackPrefix(adapter)) return null;
+        return { action: parts[1], deviceId: parts.slice(2).join(":") };
+    }
+
+    format({ device, deviceId, event, text, actions }) {
+        const body = TelegramChannel.escapeMarkdown(text);
+        const head = device ? `*${TelegramChannel.escapeMarkdown(device)}*: ` : "";
+        const payload = { text: `${event === "error" ? "⚠️ " : ""}${head}${body}`, parse_mode: "Markdown" };
+        if (this.config.recipient) payload.user = this.config.recipient;
+        if (Array.isArray(actions) && actions.length > 0 && deviceId) {
+            const prefix = TelegramChannel.callbackPrefix(this.adapter);
+            const buttons = actions.map(a => ({ text: a.label, callback_data: `${prefix}:${a.action}:${deviceId}` }));
+            // Zwei Buttons je Zeile
+            const rows = [];
+            for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+            payload.reply_markup = { inline_keyboard: rows };
+        }
+        return payload;
+    }
+}
+
+class PushoverChannel extends NotificationChannel {
+    format({ device, event, text }) {
+        const payload = { message: text, title: device || "Smart Appliances", priority: event === "error" ? 1 : 0 };
+        if (this.config.recipient) payload.device = this.config.recipient;
+        return payload;
+    }
+}
+
+class EmailChannel extends NotificationChannel {
+    format({ device, event, text }) {
+        // Ereignisname in der Meldungssprache (Katalog event.<typ>)
+        const label = this.adapter.t(`event.${EVENTS.includes(event) ? event : "info"}`);
+        const payload = { subject: device ? `${device} – ${label}` : `Smart Appliances – ${label}`, text };
+        if (this.config.recipient) payload.to = this.config.recipient;
+        return payload;
+    }
+}
+
+// signal-cmb und whatsapp-cmb erwarten dieselbe Nutzlast
+class MessengerChannel extends NotificationChannel {
+    format(notification) {
+        const payload = { text: this.plainText(notification) };
+        if (this.config.recipient) payload.phone = this.config.recipient;
+        return payload;
+    }
+}
+
+/**
+ * ioBroker Notification-Manager (Kategorien siehe io-package.json "notifications")
+ */
+class NotificationManagerChannel extends NotificationChannel {
+    async send(notification) {
+        const category = notification.event === "error" ? "applianceError" : "appliance";
+        await this.adapter.registerNotification("smart-appliances", category, this.plainText(notification));
+    }
+}
+
+function createChannel(adapter, config) {
+    switch ((config.type || "").toString()) {
+        case "telegram": return new TelegramChannel(adapter, config);
+        case "pushover": return new PushoverChannel(adapter, config);
+        case "email": return new EmailChannel(adapter, config);
+        case "signal":
+        case "whatsapp": return new MessengerChannel(adapter, config);
+        case "notificationManager": return new NotificationManagerChannel(adapter, config);
+        default:
+            adapter.log.warn(`Unknown notification channel type '${config.type}' (${config.name || "unnamed"}) – ignored`);
+            return null;
+    }
+}
+
+const splitList = value => String(value || "").split(/[\s,;]+/).map(v => v.trim()).filter(Boolean);
+
+class Notifier {
+    /**
+     * @param {object} adapter Adapter-Instanz
+     * @param {object} config Adapter-Konfiguration (notificationChannels, notificationRoutes, telegram*)
+     */
+    constructor(adapter, config) {
+        this.adapter = adapter;
+        this.channels = new Map();
+        this.routes = [];
+
+        for (const entry of Array.isArray(config.notificationChannels) ? config.notificationChannels : []) {
+            if (!entry || entry.enabled === false || !entry.name) continue;
+            if (entry.type !== "notificationManager" && !entry.instance) continue;
+            const channel = createChannel(adapter, entry);
+            if (channel) this.channels.set(entry.name, channel);
+        }
+        // Bisherige Einstellung ohne Kanal-Tabelle: ein Telegram-Kanal für alles
+        if (this.channels.size === 0 && config.telegramEnabled && config.telegramInstance) {
+            this.channels.set("telegram", new TelegramChannel(adapter, { name: "telegram", type: "telegram", instance: config.telegramInstance }));
+        }
+
+        for (const route of Array.isArray(config.notificationRoutes) ? config.notificationRoutes : []) {
+            if (!route || route.enabled === false) continue;
+            this.routes.push({
+                device: (route.device || "*").toString().trim().toLowerCase() || "*",
+                event: (route.event || "*").toString().trim() || "*",
+                channels: splitList(route.channels),
+            });
+        }
+    }
+
+    /**
+     * Spezifischste Route gewinnt: Gerät + Ereignis > Gerät > Ereignis > Standard; ohne Route alle Kanäle
+     */
+    resolveChannels(deviceRefs, event) {
+        const refs = deviceRefs.filter(Boolean).map(r => String(r).toLowerCase());
+        const score = r => (r.device !== "*" ? 2 : 0) + (r.event !== "*" ? 1 : 0);
+        const matching = this.routes
+            .filter(r => (r.device === "*" || refs.includes(r.device)) && (r.event === "*" || r.event === event))
+            .sort((a, b) => score(b) - score(a));
+        if (matching.length === 0) return [...this.channels.values()];
+        return matching[0].channels.map(name => {
+            const channel = this.channels.get(name);
+            if (!channel) this.adapter.log.warn(`Notification route references unknown channel '${name}'`);
+            return channel;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Instanzen der Telegram-Kanäle (für Button-Callbacks über communicate.request)
+     */
+    getTelegramInstances() {
+        return [...new Set([...this.channels.values()].filter(c => c instanceof TelegramChannel).map(c => c.config.instance))];
+    }
+
+    /**
+     * @param {{text: string, event?: string, device?: string, deviceId?: string, actions?: Array}} notification
+     */
+    async notify(notification) {
+        const event = EVENTS.includes(notification.event) ? notification.event : "info";
+        const msg = { ...notification, event };
+        const channels = this.resolveChannels([notification.deviceId, notification.device], event);
+        if (channels.length === 0) {
+            this.adapter.log.debug(`No notification channel for ${notification.device || "adapter"}/${event}`);
+            return;
+        }
+        for (const channel of channels) {
+            try {
+                await channel.send(msg);
+                this.adapter.log.debug(`Notification sent via ${channel.name}: ${msg.text}`);
+            } catch (e) {
+                this.adapter.log.warn(`Failed to send notification via ${channel.name}: ${e.message}`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    EVENTS,
+    Notifier,
+    NotificationChannel,
+    TelegramChannel,
+    PushoverChannel,
+    EmailChannel,
+    MessengerChannel,
+    NotificationManagerChannel,
+    createChannel,
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+// Betriebszeiten je Gerät: erlaubte Fenster (allowedWindows) und Sperrzeiten (forbiddenWindows) mit
+// optionalen Wochentagen, z. B. "22:00-07:00; Mo-Fr 09:00-12:00"
+
+const TimeParser = require("./TimeParser");
+
+const RE_ENTRY = /^(?:(.*?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/;
+
+/**
+ * "Mo-Fr 09:00-12:00; 22:00-07:00" -> { windows: [{ days, from, to, text }], invalid: [Einträge] }
+ * Ohne Wochentage gilt ein Eintrag täglich; gleiche Von-/Bis-Zeit = ganzer Tag.
+ */
+function parseWindows(value) {
+    const windows = [];
+    const invalid = [];
+    for (const entry of String(value || "").split(";").map(e => e.trim()).filter(Boolean)) {
+        const m = entry.match(RE_ENTRY);
+        const days = m ? TimeParser.parseDays(m[1] || "") : null;
+        const from = m ? TimeParser.parseTimeOfDay(m[2]) : null;
+        const to = m ? TimeParser.parseTimeOfDay(m[3]) : null;
+        if (!days || !from || !to) {
+            invalid.push(entry);
+            continue;
+        }
+        windows.push({ days, from, to, text: entry });
+    }
+    return { windows, invalid };
+}
+
+/**
+ * Konkrete Zeiträume der Fenster, die [from, to) berühren, nach Beginn sortiert.
+ * Fenster über Mitternacht gehören zum Wochentag ihres Beginns.
+ */
+function expand(windows, from, to) {
+    const fromTs = from.getTime();
+    const toTs = to.getTime();
+    const result = [];
+    for (let day = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1); day.getTime() < toTs;
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        for (const w of windows) {
+            if (!w.days.has(day.getDay())) continue;
+            const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), w.from.h, w.from.mi);
+            let end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), w.to.h, w.to.mi);
+            if (end <= start) end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1, w.to.h, w.to.mi);
+            if (end.getTime() > fromTs && start.getTime() < toTs) result.push({ start, end, text: w.text });
+        }
+    }
+    return result.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Gesperrte Zeiträume in [from, to): alle Sperrzeiten und – sind erlaubte Fenster konfiguriert – die Zeit
+ * außerhalb davon (Einträge ohne text)
+ * @param {{allowed: Array, forbidden: Array}} config geparste Fenster
+ * @returns {Array<{start: Date, end: Date, text: string|null}>}
+ */
+function blockedIntervals({ allowed, forbidden }, from, to) {
+    const blocked = expand(forbidden, from, to);
+    if (allowed.length > 0) {
+        let cursor = from.getTime();
+        for (const open of expand(allowed, from, to)) {
+            if (open.start.getTime() > cursor) blocked.push({ start: new Date(cursor), end: open.start, text: null });
+            cursor = Math.max(cursor, open.end.getTime());
+        }
+        if (cursor < to.getTime()) blocked.push({ start: new Date(cursor), end: new Date(to), text: null });
+    }
+    return blocked.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    parseWindows,
+    expand,
+    blockedIntervals,
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+// Timer mit fachlicher Bedeutung, die einen Adapter-Neustart überstehen: die Absicht (Fälligkeit, Payload)
+// liegt im State timers des Geräts, ausgelöst wird über die Timer-Registry des Adapters
+
+class PersistentTimers {
+    /**
+     * @param {object} device Gerät (BaseDevice) – liefert getTimerHandler(name) und onTimerRestored(name, payload)
+     */
+    constructor(device) {
+        this.device = device;
+        this.adapter = device.adapter;
+        this.intents = {}; // Name -> { due (ISO), payload }
+    }
+
+    has(name) {
+        return !!this.intents[name];
+    }
+
+    /**
+     * Timer anlegen bzw. ersetzen; der Callback kommt aus device.getTimerHandler(name) und bekommt die Payload
+     */
+    set(name, delay, payload = {}) {
+        const due = Date.now() + Math.max(0, delay);
+        this.intents[name] = { due: new Date(due).toISOString(), payload };
+        this._store();
+        return this._arm(name, due, payload);
+    }
+
+    clear(name) {
+        if (this.intents[name]) {
+            delete this.intents[name];
+            this._store();
+        }
+        return this.adapter.clearApplianceTimer(this._key(name));
+    }
+
+    /**
+     * Gespeicherte Timer über die Registry neu anlegen, überfällige lösen sofort aus
+     */
+    async restore() {
+        const state = await this.device.getStateAsync("timers");
+        let list = [];
+        try {
+            list = state && state.val ? JSON.parse(state.val) : [];
+        } catch (e) {
+            this.adapter.log.warn(`${this.device.name}: Stored timers are not valid JSON: ${e.message}`);
+        }
+        const prefix = this._key("");
+        this.intents = {};
+        for (const intent of Array.isArray(list) ? list : []) {
+            if (!intent || typeof intent.key !== "string" || !intent.key.startsWith(prefix)) continue;
+            const name = intent.key.slice(prefix.length);
+            const due = new Date(intent.due).getTime();
+            if (isNaN(due) || !this.device.getTimerHandler(name)) continue;
+            const payload = intent.payload && typeof intent.payload === "object" ? intent.payload : {};
+            this.intents[name] = { due: intent.due, payload };
+            this.device.onTimerRestored(name, payload);
+            const overdue = due <= Date.now();
+            this.adapter.log.info(`${this.device.name}: Restoring timer ${name} (${overdue ? "overdue" : `due in ${Math.round((due - Date.now()) / 60000)} min`})`);
+            this._arm(name, due, payload);
+        }
+        this._store();
+    }
+
+    _key(name) {
+        return `${this.device.id}_${name}`;
+    }
+
+    _arm(name, due, payload) {
+        return this.adapter.setApplianceTimer(this._key(name), async () => {
+            delete this.intents[name];
+            this._store();
+            const handler = this.device.getTimerHandler(name);
+            if (!handler) return;
+            try {
+                await handler(payload);
+            } catch (e) {
+                this.adapter.log.warn(`${this.device.name}: Timer ${name} failed: ${e.message}`);
+            }
+        }, Math.max(0, due - Date.now()));
+    }
+
+    _store() {
+        const list = Object.entries(this.intents).map(([name, intent]) => ({ key: this._key(name), ...intent }));
+        this.device.setStateAsync("timers", JSON.stringify(list), true)
+            .catch(e => this.adapter.log.warn(`${this.device.name}: Failed to store timers: ${e.message}`));
+    }
+}
+
+module.exports = PersistentTimers;
@@ -0,0 +1,191 @@
+"use strict";
+
+// Programmerkennung aus der Leistungskurve: abgeschlossene Läufe werden mit dem geplanten Programm
+// als Signatur gelernt, laufende Zyklen über die frühe Phase (Heizspitzen, Schleudermuster) zugeordnet
+
+const MINUTE_MS = 60 * 1000;
+const MAX_CURVE_MINUTES = 360;      // längere Läufe werden nur bis hier aufgezeichnet
+const SIGNATURE_MINUTES = 60;       // gespeicherter Anfang je Signatur
+const MAX_SIGNATURES = 5;           // je Programm, älteste fallen heraus
+const MIN_MINUTES = 5;              // kürzere Kurven werden nicht verglichen
+const MIN_CONFIDENCE = 0.6;         // ab hier gilt ein Programm als erkannt
+const HEATING_W = 1000;             // Minutenmittel darüber = Heizphase
+const SPIKE_W = 150;                // Sprung zwischen zwei Minuten, der als Motor-/Schleuderimpuls zählt
+
+/**
+ * Zeichnet die Leistung eines Laufs als Minutenmittel (W) auf. Werte gelten wie beim EnergyMeter
+ * bis zum nächsten Sample.
+ */
+class CurveRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.active = false;
+        this.startTs = 0;
+        this.lastTs = 0;
+        this.lastPower = 0;
+        this.sums = []; // je Minute: Integral der Leistung (W * ms)
+    }
+
+    start(power = 0, ts = Date.now()) {
+        this.reset();
+        this.active = true;
+        this.startTs = ts;
+        this.lastTs = ts;
+        this.lastPower = Math.max(0, Number(power) || 0);
+    }
+
+    addSample(power, ts = Date.now()) {
+        if (!this.active) return;
+        this._integrate(ts);
+        this.lastPower = Math.max(0, Number(power) || 0);
+    }
+
+    _integrate(ts) {
+        let from = this.lastTs;
+        if (ts <= from) return;
+        while (from < ts) {
+            const idx = Math.floor((from - this.startTs) / MINUTE_MS);
+            if (idx >= MAX_CURVE_MINUTES) break;
+            const to = Math.min(ts, this.startTs + (idx + 1) * MINUTE_MS);
+            this.sums[idx] = (this.sums[idx] || 0) + this.lastPower * (to - from);
+            from = to;
+        }
+        this.lastTs = ts;
+    }
+
+    /**
+     * Abgeschlossene Minuten bis ts als Minutenmittel in W
+     */
+    curve(ts = Date.now()) {
+        if (!this.active) return [];
+        this._integrate(ts);
+        const minutes = Math.min(MAX_CURVE_MINUTES, Math.floor((this.lastTs - this.startTs) / MINUTE_MS));
+        const result = [];
+        for (let i = 0; i < minutes; i++) result.push(Math.round((this.sums[i] || 0) / MINUTE_MS));
+        return result;
+    }
+
+    /**
+     * Aufzeichnung beenden; die angebrochene letzte Minute zählt anteilig
+     */
+    finish(ts = Date.now()) {
+        if (!this.active) return [];
+        this._integrate(ts);
+        const elapsed = this.lastTs - this.startTs;
+        const minutes = Math.min(MAX_CURVE_MINUTES, Math.ceil(elapsed / MINUTE_MS));
+        const result = [];
+        for (let i = 0; i < minutes; i++) {
+            const span = Math.min(MINUTE_MS, elapsed - i * MINUTE_MS);
+            result.push(Math.round((this.sums[i] || 0) / Math.max(1, span)));
+        }
+        this.active = false;
+        return result;
+    }
+}
+
+/**
+ * Merkmale der frühen Phase: Beginn und Dauer der Heizphase, Spitze, Mittelwert, Anzahl Leistungssprünge
+ */
+function extractFeatures(curve) {
+    const list = Array.isArray(curve) ? curve : [];
+    let heatStart = -1;
+    let heatMinutes = 0;
+    let spikes = 0;
+    let peak = 0;
+    let sum = 0;
+    for (let i = 0; i < list.length; i++) {
+        const p = Number(list[i]) || 0;
+        if (p >= HEATING_W) {
+            heatMinutes++;
+            if (heatStart < 0) heatStart = i;
+        }
+        if (i > 0 && p - (Number(list[i - 1]) || 0) >= SPIKE_W) spikes++;
+        peak = Math.max(peak, p);
+        sum += p;
+    }
+    return {
+        minutes: list.length,
+        heatStart: heatStart < 0 ? list.length : heatStart,
+        heatMinutes,
+        spikes,
+        peak,
+        avg: list.length ? sum / list.length : 0
+    };
+}
+
+/**
+ * Abstand zweier Kurven über die ersten `minutes` Minuten (0 = identisch, 1 = völlig verschieden):
+ * Form (mittlere Abweichung relativ zur Spitze) und Merkmale (Heizphase, Sprünge) je zur Hälfte
+ */
+function distance(a, b, minutes) {
+    const n = Math.min(a.length, b.length, minutes || Infinity);
+    if (n <= 0) return 1;
+    const ca = a.slice(0, n);
+    const cb = b.slice(0, n);
+    const fa = extractFeatures(ca);
+    const fb = extractFeatures(cb);
+    const scale = Math.max(fa.peak, fb.peak, 100);
+    let diff = 0;
+    for (let i = 0; i < n; i++) diff += Math.abs((Number(ca[i]) || 0) - (Number(cb[i]) || 0));
+    const shape = Math.min(1, diff / n / scale);
+    const features = (
+        Math.abs(fa.heatStart - fb.heatStart) / n +
+        Math.abs(fa.heatMinutes - fb.heatMinutes) / n +
+        Math.abs(fa.spikes - fb.spikes) / Math.max(fa.spikes, fb.spikes, 1)
+    ) / 3;
+    return Math.min(1, 0.5 * shape + 0.5 * features);
+}
+
+/**
+ * Laufende Kurve den gelernten Signaturen zuordnen (nächster Nachbar je Programm).
+ * Konfidenz: Ähnlichkeit zum besten Programm, gemindert je näher das zweitbeste liegt.
+ * @param {number[]} curve Minutenmittel seit Laufbeginn
+ * @param {object} signatures { <programm>: [{ curve, runtime, learnedAt }] }
+ * @param {number} [minutes] Länge der verglichenen frühen Phase
+ * @returns {{program: string, confidence: number, distance: number}|null}
+ */
+function classify(curve, signatures, minutes) {
+    if (!Array.isArray(curve) || curve.length < MIN_MINUTES || !signatures) return null;
+    const ranked = [];
+    for (const [program, samples] of Object.entries(signatures)) {
+        const usable = (Array.isArray(samples) ? samples : []).filter(s => Array.isArray(s.curve) && s.curve.length >= MIN_MINUTES);
+        if (usable.length === 0) continue;
+        ranked.push({ program, distance: Math.min(...usable.map(s => distance(curve, s.curve, minutes))) });
+    }
+    if (ranked.length === 0) return null;
+    ranked.sort((x, y) => x.distance - y.distance);
+    const best = ranked[0];
+    let confidence = 1 - best.distance;
+    if (ranked.length > 1) {
+        const second = ranked[1].distance;
+        confidence *= second > 0 ? (second - best.distance) / second : 0;
+    }
+    return { program: best.program, confidence: Math.max(0, Math.min(1, confidence)), distance: best.distance };
+}
+
+/**
+ * Kurve eines abgeschlossenen Laufs als Signatur des Programms ablegen (neues Objekt, ältere werden verdrängt)
+ */
+function learn(signatures, program, curve, runtime, learnedAt = new Date()) {
+    const result = { ...(signatures && typeof signatures === "object" ? signatures : {}) };
+    if (!program || !Array.isArray(curve) || curve.length < MIN_MINUTES) return result;
+    const key = String(program);
+    const list = Array.isArray(result[key]) ? result[key].slice() : [];
+    list.push({ curve: curve.slice(0, SIGNATURE_MINUTES), runtime: Number(runtime) || 0, learnedAt: new Date(learnedAt).toISOString() });
+    result[key] = list.length > MAX_SIGNATURES ? list.slice(list.length - MAX_SIGNATURES) : list;
+    return result;
+}
+
+module.exports = {
+    HEATING_W,
+    MIN_MINUTES,
+    MIN_CONFIDENCE,
+    CurveRecorder,
+    extractFeatures,
+    distance,
+    classify,
+    learn,
+};
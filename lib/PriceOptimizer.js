@@ -0,0 +1,207 @@
+"use strict";
+
+// Gemeinsamer Preisfenster-Optimierer für alle Geräte
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_SLOT_MS = 60 * MINUTE_MS;
+const EPSILON = 1e-9;
+
+/**
+ * Wandelt Preiseinträge in sortierte, überlappungsfreie Intervalle { start, end, price } um.
+ * Akzeptiert Tibber-Einträge ({ startsAt, total }) und normalisierte Einträge ({ start, end, price }).
+ * Ohne explizites Ende läuft ein Slot bis zum nächsten Eintrag; Lücken und der letzte Slot
+ * bekommen die Länge des Vorgängers (15 oder 60 Minuten), der letzte Eintrag fällt also nicht weg.
+ */
+function buildPriceIntervals(prices) {
+    if (!Array.isArray(prices)) return [];
+    const entries = [];
+    for (const p of prices) {
+        if (!p) continue;
+        const start = new Date(p.start !== undefined ? p.start : p.startsAt);
+        const rawEnd = p.end !== undefined ? p.end : p.endsAt;
+        const end = rawEnd ? new Date(rawEnd) : null;
+        const price = Number(p.price !== undefined ? p.price : p.total);
+        if (isNaN(start.getTime()) || !Number.isFinite(price)) continue;
+        entries.push({ start, end: end && !isNaN(end.getTime()) && end > start ? end : null, price });
+    }
+    entries.sort((a, b) => a.start - b.start);
+
+    const intervals = [];
+    let lastLen = DEFAULT_SLOT_MS;
+    for (let i = 0; i < entries.length; i++) {
+        const cur = entries[i];
+        const next = entries[i + 1];
+        if (next && next.start.getTime() === cur.start.getTime()) continue; // Duplikat -> späterer Eintrag gewinnt
+        let end = cur.end;
+        if (!end) {
+            const gap = next ? next.start - cur.start : Infinity;
+            end = new Date(cur.start.getTime() + (gap <= DEFAULT_SLOT_MS ? gap : lastLen));
+        }
+        if (next && end > next.start) end = next.start; // keine Überlappung
+        lastLen = end - cur.start;
+        intervals.push({ start: cur.start, end, price: cur.price });
+    }
+    return intervals;
+}
+
+/**
+ * Präfixsummen über Kosten (Preis * Minuten) und abgedeckte Minuten je Intervallstart.
+ */
+function _buildPrefix(intervals) {
+    const cost = [0];
+    const covered = [0];
+    for (let i = 0; i < intervals.length; i++) {
+        const mins = (intervals[i].end - intervals[i].start) / MINUTE_MS;
+        cost.push(cost[i] + intervals[i].price * mins);
+        covered.push(covered[i] + mins);
+    }
+    return { cost, covered };
+}
+
+/**
+ * Kumulierte Kosten und Abdeckung bis Zeitpunkt ts (Binärsuche auf Intervallstarts).
+ */
+function _cumulativeAt(intervals, prefix, ts) {
+    let lo = 0;
+    let hi = intervals.length - 1;
+    let idx = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (intervals[mid].start.getTime() <= ts) { idx = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    if (idx < 0) return { cost: 0, covered: 0 };
+    const iv = intervals[idx];
+    const mins = (Math.min(ts, iv.end.getTime()) - iv.start.getTime()) / MINUTE_MS;
+    return { cost: prefix.cost[idx] + iv.price * mins, covered: prefix.covered[idx] + mins };
+}
+
+/**
+ * Günstigstes zusammenhängendes Fenster mit fester Dauer (Minuten) plus gerankte Alternativen.
+ *
+ * Die Kosten eines Fensters sind stückweise linear in der Startzeit; das Optimum liegt daher immer
+ * an einem Kandidaten, bei dem Start oder Ende auf eine Intervallgrenze (bzw. notBefore) fällt.
+ *
+ * @param {Array} prices Preiseinträge (Tibber oder { start, end, price })
+ * @param {number} minutes Benötigte Laufzeit in Minuten
+ * @param {object} [options]
+ * @param {Date} [options.notBefore] Frühester Start (Default: jetzt)
+ * @param {Date} [options.finishBy] Spätestes Ende (Deadline); ohne Angabe Ende der Preisdaten
+ * @param {Array<{start: Date, end: Date}>} [options.excluded] Gesperrte Zeiträume, die kein Fenster überlappen darf
+ * @param {number} [options.maxAlternatives] Anzahl nicht überlappender Alternativen (Default 3)
+ * @returns {{startTime: Date, endTime: Date, avgPrice: number, alternatives: Array}|null}
+ */
+function findCheapestWindow(prices, minutes, options = {}) {
+    const requiredMinutes = Number(minutes);
+    if (!Number.isFinite(requiredMinutes) || requiredMinutes <= 0) return null;
+    const intervals = buildPriceIntervals(prices);
+    if (intervals.length === 0) return null;
+
+    const requiredMs = requiredMinutes * MINUTE_MS;
+    const nb = new Date(options.notBefore ? new Date(options.notBefore).getTime() : Date.now());
+    nb.setSeconds(0, 0);
+    const notBeforeTs = nb.getTime();
+    const finishByTs = options.finishBy ? new Date(options.finishBy).getTime() : Infinity;
+    const globalEndTs = Math.min(intervals[intervals.length - 1].end.getTime(), finishByTs);
+    const maxAlternatives = Number.isFinite(options.maxAlternatives) ? options.maxAlternatives : 3;
+    const excluded = (Array.isArray(options.excluded) ? options.excluded : [])
+        .map(ex => ({ start: new Date(ex.start).getTime(), end: new Date(ex.end).getTime() }))
+        .filter(ex => ex.end > ex.start);
+
+    // Kandidaten: notBefore, alle Intervallstarts und alle Starts, deren Ende auf eine Intervallgrenze
+    // oder genau auf die Deadline fällt; bei Sperrzeiten zusätzlich direkt davor und danach
+    const candidates = new Set([notBeforeTs]);
+    if (Number.isFinite(finishByTs)) candidates.add(finishByTs - requiredMs);
+    for (const ex of excluded) {
+        candidates.add(ex.end);
+        candidates.add(ex.start - requiredMs);
+    }
+    for (const iv of intervals) {
+        candidates.add(iv.start.getTime());
+        candidates.add(iv.end.getTime() - requiredMs);
+    }
+
+    const prefix = _buildPrefix(intervals);
+    const windows = [];
+    for (const ts of candidates) {
+        const endTs = ts + requiredMs;
+        if (ts < notBeforeTs || endTs > globalEndTs) continue;
+        if (excluded.some(ex => ts < ex.end && ex.start < endTs)) continue;
+        const a = _cumulativeAt(intervals, prefix, ts);
+        const b = _cumulativeAt(intervals, prefix, endTs);
+        if (b.covered - a.covered < requiredMinutes - EPSILON) continue; // Datenlücke im Fenster
+        windows.push({ startTime: new Date(ts), endTime: new Date(endTs), avgPrice: (b.cost - a.cost) / requiredMinutes });
+    }
+    if (windows.length === 0) return null;
+
+    // Günstigster zuerst, bei Gleichstand der frühere Start
+    windows.sort((x, y) => (Math.abs(x.avgPrice - y.avgPrice) > EPSILON ? x.avgPrice - y.avgPrice : x.startTime - y.startTime));
+
+    const best = windows[0];
+    const picked = [best];
+    const alternatives = [];
+    for (let i = 1; i < windows.length && alternatives.length < maxAlternatives; i++) {
+        const w = windows[i];
+        if (picked.some(p => w.startTime < p.endTime && p.startTime < w.endTime)) continue;
+        picked.push(w);
+        alternatives.push(w);
+    }
+    return { startTime: best.startTime, endTime: best.endTime, avgPrice: best.avgPrice, alternatives };
+}
+
+/**
+ * Sperrzeiten aus bereits reservierter Leistung anderer Geräte: überall dort, wo deren Summe
+ * plus die eigene Leistung das Limit überschreitet. Reservierungen: [{ start, end, power }].
+ */
+function capacityExclusions(reservations, ownPower, limit) {
+    if (!(limit > 0) || !(ownPower > 0) || !Array.isArray(reservations) || reservations.length === 0) return [];
+    const res = reservations
+        .map(r => ({ start: new Date(r.start).getTime(), end: new Date(r.end).getTime(), power: Number(r.power) || 0 }))
+        .filter(r => r.end > r.start && r.power > 0);
+    const points = [...new Set(res.flatMap(r => [r.start, r.end]))].sort((a, b) => a - b);
+    const excluded = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const from = points[i];
+        const to = points[i + 1];
+        const load = res.filter(r => r.start <= from && r.end >= to).reduce((sum, r) => sum + r.power, 0);
+        if (load <= 0 || load + ownPower <= limit) continue;
+        const last = excluded[excluded.length - 1];
+        if (last && last.end.getTime() === from) last.end = new Date(to);
+        else excluded.push({ start: new Date(from), end: new Date(to) });
+    }
+    return excluded;
+}
+
+/**
+ * Durchschnittspreis eines festen Fensters [start, end) oder null bei Datenlücken
+ */
+function averagePrice(prices, start, end) {
+    const intervals = buildPriceIntervals(prices);
+    const startTs = new Date(start).getTime();
+    const endTs = new Date(end).getTime();
+    if (intervals.length === 0 || !(endTs > startTs)) return null;
+    const prefix = _buildPrefix(intervals);
+    const a = _cumulativeAt(intervals, prefix, startTs);
+    const b = _cumulativeAt(intervals, prefix, endTs);
+    const minutes = (endTs - startTs) / MINUTE_MS;
+    if (b.covered - a.covered < minutes - EPSILON) return null;
+    return (b.cost - a.cost) / minutes;
+}
+
+/**
+ * Preis des Slots, der den Zeitpunkt ts enthält, oder null (keine Daten)
+ */
+function priceAt(prices, ts) {
+    const t = new Date(ts).getTime();
+    for (const iv of buildPriceIntervals(prices)) {
+        if (iv.start.getTime() <= t && t < iv.end.getTime()) return iv.price;
+    }
+    return null;
+}
+
+module.exports = {
+    buildPriceIntervals,
+    findCheapestWindow,
+    capacityExclusions,
+    averagePrice,
+    priceAt,
+};
@@ -0,0 +1,164 @@
+"use strict";
+
+const PriceOptimizer = require("./PriceOptimizer");
+
+/**
+ * Basisklasse für Preisquellen. Liefert normalisierte, validierte Slots { start, end, price } (€/kWh)
+ * und cached das Ergebnis, solange sich die Quell-States nicht ändern.
+ */
+class PriceProvider {
+    constructor(adapter, config) {
+        this.adapter = adapter;
+        this.config = config || {};
+        this._cache = null;
+        this._cacheKey = "";
+    }
+
+    /**
+     * Foreign-State-IDs, aus denen gelesen wird (für Cache-Schlüssel und Subscriptions)
+     */
+    getStateIds() {
+        return [];
+    }
+
+    invalidate() {
+        this._cache = null;
+        this._cacheKey = "";
+    }
+
+    async getPrices() {
+        const ids = this.getStateIds();
+        if (ids.length === 0) throw new Error("Price source not configured");
+
+        const states = [];
+        for (const id of ids) states.push(await this.adapter.getForeignStateAsync(id));
+        if (!states[0] || !states[0].val) {
+            throw new Error(`Price data not available (${ids[0]})`);
+        }
+
+        // Cache nur gültig, solange alle Quell-States unverändert sind
+        const key = states.map(st => (st ? `${st.ts}:${String(st.val).length}` : "-")).join("|");
+        if (this._cache && key === this._cacheKey) return this._cache;
+
+        const raw = [];
+        for (let i = 0; i < states.length; i++) {
+            if (!states[i] || !states[i].val) continue;
+            try {
+                raw.push(...this.extractEntries(states[i].val));
+            } catch (e) {
+                throw new Error(`Failed to parse price data from ${ids[i]}: ${e.message}`);
+            }
+        }
+
+        const prices = this.validate(raw.map(entry => this.mapEntry(entry)));
+        this._cache = prices;
+        this._cacheKey = key;
+        this.adapter.log.debug(`Price provider: ${prices.length} slots loaded (${prices[0].start.toISOString()} – ${prices[prices.length - 1].end.toISOString()})`);
+        return prices;
+    }
+
+    /**
+     * State-Wert (JSON-String oder Objekt) -> Array mit Roh-Einträgen
+     */
+    extractEntries(val) {
+        const data = typeof val === "string" ? JSON.parse(val) : val;
+        if (!Array.isArray(data)) throw new Error("expected an array");
+        return data;
+    }
+
+    /**
+     * Roh-Eintrag -> { start, end, price } (end optional)
+     */
+    mapEntry(entry) {
+        throw new Error("mapEntry() must be implemented by the price provider");
+    }
+
+    /**
+     * Ungültige Einträge verwerfen, Enden ergänzen (auch für den letzten Slot) und sortieren
+     */
+    validate(entries) {
+        const valid = entries.filter(e => e && e.start instanceof Date && !isNaN(e.start.getTime()) && Number.isFinite(e.price));
+        const dropped = entries.length - valid.length;
+        if (dropped > 0) this.adapter.log.warn(`Price provider: ignored ${dropped} invalid price entries`);
+        const intervals = PriceOptimizer.buildPriceIntervals(valid);
+        if (intervals.length === 0) throw new Error("Price data contains no valid entries");
+        return intervals;
+    }
+}
+
+/**
+ * Tibber über tibberlink (PricesToday / PricesTomorrow einer beliebigen Instanz)
+ */
+class TibberPriceProvider extends PriceProvider {
+    getStateIds() {
+        const instance = (this.config.tibberInstance || "tibberlink.0").toString();
+        const home = this.config.tibberHome;
+        if (!home) return [];
+        return [
+            `${instance}.Homes.${home}.PricesToday.json`,
+            `${instance}.Homes.${home}.PricesTomorrow.json`
+        ];
+    }
+
+    mapEntry(entry) {
+        return { start: new Date(entry.startsAt), end: null, price: Number(entry.total) };
+    }
+}
+
+/**
+ * Generischer JSON-State (aWATTar, EPEX-Spot-Adapter, eigener Skript-State) mit konfigurierbarem Feld-Mapping
+ */
+class JsonStatePriceProvider extends PriceProvider {
+    getStateIds() {
+        return String(this.config.priceStateIds || "")
+            .split(/[\s,;]+/)
+            .map(id => id.trim())
+            .filter(Boolean);
+    }
+
+    extractEntries(val) {
+        let data = typeof val === "string" ? JSON.parse(val) : val;
+        if (this.config.priceArrayPath) data = JsonStatePriceProvider.pick(data, this.config.priceArrayPath);
+        if (!Array.isArray(data)) throw new Error("expected an array");
+        return data;
+    }
+
+    mapEntry(entry) {
+        const factor = Number(this.config.priceFactor) || 1;
+        const endField = this.config.priceFieldEnd;
+        const end = endField ? JsonStatePriceProvider.toDate(JsonStatePriceProvider.pick(entry, endField)) : null;
+        return {
+            start: JsonStatePriceProvider.toDate(JsonStatePriceProvider.pick(entry, this.config.priceFieldStart || "start")),
+            end,
+            price: Number(JsonStatePriceProvider.pick(entry, this.config.priceFieldPrice || "price")) * factor
+        };
+    }
+
+    // Punktnotation, z. B. "data" oder "price.total"
+    static pick(obj, path) {
+        return String(path).split(".").reduce((o, k) => (o !== null && o !== undefined ? o[k] : undefined), obj);
+    }
+
+    // ISO-String oder Epoch (Sekunden/Millisekunden)
+    static toDate(v) {
+        if (typeof v === "number") return new Date(v < 1e12 ? v * 1000 : v);
+        return new Date(v);
+    }
+}
+
+function createPriceProvider(adapter, config) {
+    switch ((config.priceSource || "tibber").toString()) {
+        case "jsonState": return new JsonStatePriceProvider(adapter, config);
+        case "tibber": return new TibberPriceProvider(adapter, config);
+        default:
+            adapter.log.warn(`Unknown price source '${config.priceSource}' – falling back to Tibber`);
+            return new TibberPriceProvider(adapter, config);
+    }
+}
+
+module.exports = {
+    PriceProvider,
+    TibberPriceProvider,
+    JsonStatePriceProvider,
+    createPriceProvider,
+};
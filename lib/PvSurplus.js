@@ -0,0 +1,109 @@
+"use strict";
+
+const PriceOptimizer = require("./PriceOptimizer");
+const { JsonStatePriceProvider } = require("./PriceProvider");
+
+/**
+ * PV-Überschuss als Preisquelle: eigener Solarstrom kostet nur die entgangene Einspeisevergütung.
+ * Eingänge: Prognose-State (JSON-Array mit Feld-Mapping) und/oder Live-Überschuss-State (W).
+ */
+class PvSurplus {
+    constructor(adapter, config) {
+        this.adapter = adapter;
+        this.config = config || {};
+    }
+
+    get enabled() {
+        return !!this.config.pvEnabled && !!(this.config.pvForecastStateId || this.config.pvSurplusStateId);
+    }
+
+    get feedInTariff() {
+        return Math.max(0, Number(this.config.feedInTariff) || 0);
+    }
+
+    /**
+     * Prognostizierter Überschuss je Slot: [{ start, end, power }] in W (Erzeugung * Faktor - Grundlast)
+     */
+    async getForecast() {
+        const id = this.config.pvForecastStateId;
+        if (!id) return [];
+        const state = await this.adapter.getForeignStateAsync(id);
+        if (!state || !state.val) return [];
+        let data = typeof state.val === "string" ? JSON.parse(state.val) : state.val;
+        if (this.config.pvForecastArrayPath) data = JsonStatePriceProvider.pick(data, this.config.pvForecastArrayPath);
+        if (!Array.isArray(data)) throw new Error(`PV forecast ${id}: expected an array`);
+
+        const factor = Number(this.config.pvForecastFactor) || 1;
+        const baseLoad = Number(this.config.pvBaseLoad) || 0;
+        const endField = this.config.pvForecastFieldEnd;
+        // Slot-Bildung wie bei Preisen (Ende = nächster Start), Leistung steht dabei im Feld "price"
+        const slots = PriceOptimizer.buildPriceIntervals(data.map(entry => ({
+            start: JsonStatePriceProvider.toDate(JsonStatePriceProvider.pick(entry, this.config.pvForecastFieldStart || "start")),
+            end: endField ? JsonStatePriceProvider.toDate(JsonStatePriceProvider.pick(entry, endField)) : undefined,
+            price: Number(JsonStatePriceProvider.pick(entry, this.config.pvForecastFieldPower || "power")) * factor
+        })));
+        return slots.map(s => ({ start: s.start, end: s.end, power: Math.max(0, s.price - baseLoad) }));
+    }
+
+    /**
+     * Aktueller Überschuss in W (positiv = Einspeisung) oder null ohne Live-State
+     */
+    async getLiveSurplus() {
+        const id = this.config.pvSurplusStateId;
+        if (!id) return null;
+        const state = await this.adapter.getForeignStateAsync(id);
+        const value = Number(state?.val);
+        if (!state || !Number.isFinite(value)) return null;
+        return this.config.pvSurplusInvert ? -value : value;
+    }
+
+    /**
+     * Effektive Preise für ein Gerät mit typischer Leistung devicePower (W).
+     * Ohne Prognose gilt der Live-Überschuss bis zum Ende des aktuellen Preis-Slots.
+     */
+    async getEffectivePrices(prices, devicePower, now = new Date()) {
+        let surplus = [];
+        try {
+            surplus = await this.getForecast();
+        } catch (e) {
+            this.adapter.log.warn(`PV forecast unavailable: ${e.message}`);
+        }
+        if (surplus.length === 0) {
+            const live = await this.getLiveSurplus();
+            const current = PriceOptimizer.buildPriceIntervals(prices).find(iv => iv.start <= now && now < iv.end);
+            if (live > 0 && current) surplus = [{ start: now, end: current.end, power: live }];
+        }
+        return PvSurplus.effectivePrices(prices, surplus, devicePower, this.feedInTariff);
+    }
+
+    /**
+     * Je Preis-Slot: Anteil f = min(1, Ø Überschuss / Geräteleistung) kostet die Einspeisevergütung,
+     * der Rest den Netzpreis. Slots werden an Überschuss-Grenzen geteilt, damit Minutenfenster exakt bleiben.
+     */
+    static effectivePrices(prices, surplus, devicePower, feedInTariff) {
+        const intervals = PriceOptimizer.buildPriceIntervals(prices);
+        if (!(devicePower > 0) || !Array.isArray(surplus) || surplus.length === 0) return intervals;
+
+        const result = [];
+        for (const iv of intervals) {
+            const cuts = new Set([iv.start.getTime(), iv.end.getTime()]);
+            for (const s of surplus) {
+                const st = new Date(s.start).getTime();
+                const en = new Date(s.end).getTime();
+                if (st > iv.start.getTime() && st < iv.end.getTime()) cuts.add(st);
+                if (en > iv.start.getTime() && en < iv.end.getTime()) cuts.add(en);
+            }
+            const points = [...cuts].sort((a, b) => a - b);
+            for (let i = 0; i < points.length - 1; i++) {
+                const from = points[i];
+                const to = points[i + 1];
+                const slot = surplus.find(s => new Date(s.start).getTime() <= from && to <= new Date(s.end).getTime());
+                const share = slot ? Math.min(1, Math.max(0, Number(slot.power) || 0) / devicePower) : 0;
+                result.push({ start: new Date(from), end: new Date(to), price: share * feedInTariff + (1 - share) * iv.price });
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = PvSurplus;
@@ -0,0 +1,335 @@
+"use strict";
+
+// Wiederkehrende Planungsregeln je Gerät ("werktags, günstigstes Fenster, fertig bis 06:30"): nächstes Vorkommen
+// berechnen und planen, sobald die Preisdaten sein Fenster abdecken; Pause, Überspringen und zuletzt
+// geplantes Vorkommen je Regel im State recurring. Regeln kommen aus der Instanz-Konfiguration (Reiter
+// „Schedules“) und – per sendTo setRule/deleteRule, ohne Neustart – aus dem State recurringRules.
+
+const TimeParser = require("./TimeParser");
+const PriceOptimizer = require("./PriceOptimizer");
+
+const SEARCH_DAYS = 8;      // Vorkommen bis eine Woche im Voraus (Vortag zusätzlich für Fenster über Mitternacht)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = n => n.toString().padStart(2, "0");
+const dateKey = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+/**
+ * Fenster des Vorkommens am Tag day: notBefore gilt an diesem Tag, finishBy beim nächsten Auftreten danach;
+ * nur finishBy: die 24 h davor; ohne Angaben der ganze Tag
+ * @returns {{key: string, notBefore: Date, finishBy: Date}}
+ */
+function occurrenceWindow(rule, day) {
+    const nb = TimeParser.parseTimeOfDay(rule.notBefore || "");
+    const fb = TimeParser.parseTimeOfDay(rule.finishBy || "");
+    const at = (tod, offsetDays = 0) => new Date(day.getFullYear(), day.getMonth(), day.getDate() + offsetDays, tod.h, tod.mi, 0, 0);
+    const midnight = { h: 0, mi: 0 };
+    let notBefore;
+    let finishBy;
+    if (nb) {
+        notBefore = at(nb);
+        finishBy = fb ? at(fb) : at(midnight, 1);
+        if (finishBy <= notBefore) finishBy = at(fb, 1);
+    } else if (fb) {
+        finishBy = at(fb);
+        notBefore = new Date(finishBy.getTime() - DAY_MS);
+    } else {
+        notBefore = at(midnight);
+        finishBy = at(midnight, 1);
+    }
+    return { key: dateKey(day), notBefore, finishBy };
+}
+
+/**
+ * Nächstes Vorkommen, das sich noch ausgehen kann (finishBy − Laufzeit liegt nach now)
+ * @param {object} rule Regel aus der Konfiguration
+ * @param {number} minutes Laufzeit
+ * @param {Date} [now]
+ * @param {string} [after] nur Vorkommen nach diesem Schlüssel (YYYY-MM-DD)
+ * @returns {{key: string, notBefore: Date, finishBy: Date}|null}
+ */
+function nextOccurrence(rule, minutes, now = new Date(), after = null) {
+    const days = TimeParser.parseDays(rule.days);
+    if (!days) return null;
+    for (let i = -1; i <= SEARCH_DAYS; i++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
+        if (!days.has(day.getDay())) continue;
+        const occurrence = occurrenceWindow(rule, day);
+        if (after && occurrence.key <= after) continue;
+        if (occurrence.finishBy.getTime() - minutes * 60000 > now.getTime()) return occurrence;
+    }
+    return null;
+}
+
+/**
+ * Regel prüfen (sendTo setRule)
+ * @returns {{key: string, vars: object}|null} Meldungsschlüssel bei Fehler
+ */
+function validateRule(rule) {
+    if (!rule.rule) return { key: "command.missingParameter", vars: { parameter: "rule" } };
+    if (!rule.device) return { key: "command.missingParameter", vars: { parameter: "device" } };
+    if (!TimeParser.parseDays(rule.days)) return { key: "command.invalidDays", vars: { value: rule.days } };
+    for (const field of ["notBefore", "finishBy"]) {
+        if (rule[field] && !TimeParser.parseTimeOfDay(rule[field])) return { key: "command.invalidTime", vars: { value: rule[field] } };
+    }
+    if (rule.durationMinutes !== undefined && rule.durationMinutes !== "" && !(Number(rule.durationMinutes) >= 0)) {
+        return { key: "command.invalidRuleDuration", vars: { value: rule.durationMinutes } };
+    }
+    return null;
+}
+
+class RecurringScheduler {
+    /**
+     * @param {object} adapter Adapter-Instanz
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.commandRules = []; // per sendTo verwaltete Regeln (State recurringRules)
+    }
+
+    /**
+     * Per sendTo verwaltete Regeln aus dem State recurringRules laden (beim Adapterstart)
+     */
+    async loadRules() {
+        const state = await this.adapter.getStateAsync("recurringRules");
+        try {
+            const parsed = state && state.val ? JSON.parse(state.val) : [];
+            this.commandRules = (Array.isArray(parsed) ? parsed : []).filter(r => r && r.rule);
+        } catch (e) {
+            this.adapter.log.warn(`Stored recurring rules are not valid JSON: ${e.message}`);
+            this.commandRules = [];
+        }
+    }
+
+    // Regeln aus der Instanz-Konfiguration – per sendTo nicht änderbar
+    getConfigRules() {
+        const config = this.adapter.config.recurringRules;
+        return (Array.isArray(config) ? config : []).filter(r => r && r.rule);
+    }
+
+    isConfigRule(key) {
+        return this.getConfigRules().some(r => String(r.rule) === String(key));
+    }
+
+    /**
+     * Alle Regeln: Konfiguration und per sendTo angelegte (bei gleichem Schlüssel gilt die Konfiguration)
+     */
+    getRules() {
+        const config = this.getConfigRules();
+        return [...config, ...this.commandRules.filter(r => !config.some(c => String(c.rule) === String(r.rule)))];
+    }
+
+    findRule(key) {
+        return this.getRules().find(r => String(r.rule) === String(key)) || null;
+    }
+
+    async getStored() {
+        const state = await this.adapter.getStateAsync("recurring");
+        try {
+            const parsed = state && state.val ? JSON.parse(state.val) : {};
+            return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            this.adapter.log.warn(`Stored recurring rule state is not valid JSON: ${e.message}`);
+            return {};
+        }
+    }
+
+    async store(stored) {
+        await this.adapter.setStateAsync("recurring", JSON.stringify(stored), true);
+    }
+
+    /**
+     * Laufzeit einer Regel: durationMinutes, sonst Dauer des Waschprogramms bzw. Standardlaufzeit des Geräts
+     */
+    ruleMinutes(rule, device) {
+        if (Number(rule.durationMinutes) > 0) return Number(rule.durationMinutes);
+        if (rule.program && typeof device.findWashingProgram === "function") {
+            const program = device.findWashingProgram(rule.program);
+            if (program && program.duration > 0) return program.duration + (program.withDryer ? program.dryerDuration : 0);
+        }
+        return Number(device.REQUIRED_MINUTES) || 120;
+    }
+
+    /**
+     * Alle aktiven Regeln prüfen und das jeweils nächste Vorkommen planen, sobald die Preise sein Fenster
+     * abdecken und das Gerät frei ist (kein Lauf, kein Plan, kein offener Vorschlag)
+     */
+    async check() {
+        const rules = this.getRules().filter(r => r.enabled !== false);
+        if (rules.length === 0 || !this.adapter.config.priceOptimizationEnabled) return;
+        const stored = await this.getStored();
+        let priceEnd = null;
+        let changed = false;
+        for (const rule of rules) {
+            const device = this.adapter.findDevice(rule.device);
+            if (!device || !device.genericScheduling) {
+                this.adapter.log.debug(`Recurring rule '${rule.rule}': device '${rule.device}' not found or without scheduling`);
+                continue;
+            }
+            const entry = stored[rule.rule] || {};
+            if (entry.paused) continue;
+            const occurrence = nextOccurrence(rule, this.ruleMinutes(rule, device));
+            if (!occurrence || entry.planned === occurrence.key) continue;
+            if (entry.skip === occurrence.key) {
+                this.adapter.log.info(`Recurring rule '${rule.rule}': occurrence ${occurrence.key} skipped`);
+                stored[rule.rule] = { ...entry, skip: null, planned: occurrence.key, result: "skipped" };
+                changed = true;
+                continue;
+            }
+            if (priceEnd === null) {
+                const intervals = PriceOptimizer.buildPriceIntervals(await this.adapter.getPrices());
+                priceEnd = intervals.length > 0 ? intervals[intervals.length - 1].end.getTime() : 0;
+            }
+            if (priceEnd < occurrence.finishBy.getTime()) continue; // Preise für das Fenster kommen später
+            if (await this.isBusy(device)) {
+                this.adapter.log.debug(`Recurring rule '${rule.rule}': ${device.name} is busy – planning later`);
+                continue;
+            }
+            let result = "planned";
+            try {
+                await this.planOccurrence(rule, device, occurrence);
+            } catch (e) {
+                // Fehler wurde bereits gemeldet; Vorkommen gilt trotzdem als erledigt (keine Wiederholung je Stunde)
+                this.adapter.log.warn(`Recurring rule '${rule.rule}': planning ${occurrence.key} failed: ${e.message}`);
+                result = "failed";
+            }
+            stored[rule.rule] = { ...entry, planned: occurrence.key, result, plannedAt: new Date().toISOString() };
+            changed = true;
+        }
+        if (changed) await this.store(stored);
+    }
+
+    async isBusy(device) {
+        for (const key of ["running", "scheduled", "proposed"]) {
+            if ((await device.getStateAsync(key))?.val === true) return true;
+        }
+        return false;
+    }
+
+    async planOccurrence(rule, device, occurrence) {
+        const options = {
+            note: this.adapter.t("plan.recurring", { rule: rule.rule }),
+            recurring: { rule: rule.rule, occurrence: occurrence.key }
+        };
+        if (rule.program && typeof device.findWashingProgram === "function") {
+            const program = device.findWashingProgram(rule.program);
+            if (!program) throw new Error(this.adapter.t("command.programNotFound", { program: rule.program }));
+            return device.planWashingProgram({
+                program: program.program, duration: Number(rule.durationMinutes) || program.duration, dryerNeeded: program.withDryer,
+                dryerDuration: program.dryerDuration, dryLevel: program.dryLevel,
+                earliestStart: occurrence.notBefore, deadline: occurrence.finishBy
+            }, options);
+        }
+        return device.scheduleOptimalStart({
+            durationMinutes: this.ruleMinutes(rule, device), program: rule.program || "",
+            earliestStart: occurrence.notBefore, deadline: occurrence.finishBy
+        }, options);
+    }
+
+    /**
+     * Plan dieser Regel verwerfen, solange er noch nicht gestartet ist
+     * @returns {Promise<boolean>} true, wenn ein Plan verworfen wurde
+     */
+    async cancelRulePlan(device, key) {
+        if ((await device.getStateAsync("running"))?.val === true) return false;
+        const plan = await device.getStoredPlan();
+        if (!plan || plan.recurring?.rule !== key || !["accepted", "proposed"].includes(plan.status)) return false;
+        return device.cancelPlannedStart();
+    }
+
+    /**
+     * Nächstes Vorkommen überspringen: bereits geplant -> Plan verwerfen, sonst beim Planen auslassen
+     * @returns {Promise<{occurrence: string|null, cancelled: boolean}>}
+     */
+    async skipNext(rule) {
+        const device = this.adapter.findDevice(rule.device);
+        const stored = await this.getStored();
+        const entry = stored[rule.rule] || {};
+        const minutes = device ? this.ruleMinutes(rule, device) : 0;
+        let occurrence = nextOccurrence(rule, minutes);
+        let cancelled = false;
+        if (occurrence && entry.planned === occurrence.key) {
+            cancelled = device ? await this.cancelRulePlan(device, rule.rule) : false;
+            // Schon gelaufen oder verworfen: dann gilt das übernächste Vorkommen
+            if (!cancelled) occurrence = nextOccurrence(rule, minutes, new Date(), occurrence.key);
+        }
+        if (cancelled) {
+            entry.result = "skipped";
+        } else if (occurrence) {
+            entry.skip = occurrence.key;
+        }
+        stored[rule.rule] = entry;
+        await this.store(stored);
+        return { occurrence: occurrence ? occurrence.key : null, cancelled };
+    }
+
+    /**
+     * Regel pausieren (offener Plan der Regel wird verworfen) bzw. fortsetzen
+     */
+    async setPaused(rule, paused) {
+        const stored = await this.getStored();
+        stored[rule.rule] = { ...(stored[rule.rule] || {}), paused: !!paused };
+        await this.store(stored);
+        const device = this.adapter.findDevice(rule.device);
+        const cancelled = paused && device ? await this.cancelRulePlan(device, rule.rule) : false;
+        if (!paused) await this.check();
+        return { paused: !!paused, cancelled };
+    }
+
+    /**
+     * Regeln mit Laufzeitstatus und nächstem Vorkommen (sendTo listRules)
+     */
+    async list() {
+        const stored = await this.getStored();
+        return this.getRules().map(rule => {
+            const device = this.adapter.findDevice(rule.device);
+            const next = device ? nextOccurrence(rule, this.ruleMinutes(rule, device)) : null;
+            const entry = stored[rule.rule] || {};
+            return {
+                ...rule,
+                source: this.isConfigRule(rule.rule) ? "config" : "command",
+                enabled: rule.enabled !== false,
+                paused: !!entry.paused,
+                skip: entry.skip || null,
+                planned: entry.planned || null,
+                result: entry.result || null,
+                next: next ? { occurrence: next.key, notBefore: next.notBefore.toISOString(), finishBy: next.finishBy.toISOString() } : null
+            };
+        });
+    }
+
+    /**
+     * Per sendTo angelegte Regel anlegen bzw. ersetzen (State recurringRules, kein Neustart)
+     */
+    async saveRule(rule) {
+        this.commandRules = [...this.commandRules.filter(r => String(r.rule) !== String(rule.rule)), rule];
+        await this.storeRules();
+    }
+
+    /**
+     * Per sendTo angelegte Regel samt Laufzeitstatus löschen
+     */
+    async deleteRule(key) {
+        this.commandRules = this.commandRules.filter(r => String(r.rule) !== String(key));
+        await this.storeRules();
+        await this.forget(key);
+    }
+
+    async storeRules() {
+        await this.adapter.setStateAsync("recurringRules", JSON.stringify(this.commandRules), true);
+    }
+
+    async forget(key) {
+        const stored = await this.getStored();
+        if (!(key in stored)) return;
+        delete stored[key];
+        await this.store(stored);
+    }
+}
+
+module.exports = {
+    RecurringScheduler,
+    occurrenceWindow,
+    nextOccurrence,
+    validateRule,
+};
@@ -0,0 +1,104 @@
+"use strict";
+
+const { HEATING_W } = require("./PowerSignature");
+
+// Restlaufzeit eines laufenden Zyklus: geplante Dauer, gelernte Dauer je Programm aus der Historie und
+// Heizphasen der Leistungskurve (nach der letzten Heizphase folgt je Programm ein typischer Rest)
+
+const PROFILE_RUNS = 10;            // jüngste Läufe je Programm für das gelernte Profil
+const LEARNED_WEIGHT_RUNS = 5;      // ab so vielen Läufen zählt die gelernte Dauer 5:1 gegenüber der geplanten
+const OVERRUN_TAIL = 0.05;          // über der erwarteten Dauer: angenommener Rest als Anteil der Dauer
+
+/**
+ * Abgeschlossene Heizphasen (Minuten ≥ HEATING_W, gefolgt von mindestens einer Minute darunter)
+ * @returns {{count: number, lastEnd: number|null}} lastEnd = Minute nach dem Ende der letzten Phase
+ */
+function heatingPhases(curve) {
+    const list = Array.isArray(curve) ? curve : [];
+    let count = 0;
+    let lastEnd = null;
+    let heating = false;
+    for (let i = 0; i < list.length; i++) {
+        const hot = (Number(list[i]) || 0) >= HEATING_W;
+        if (heating && !hot) {
+            count++;
+            lastEnd = i;
+        }
+        heating = hot;
+    }
+    return { count, lastEnd };
+}
+
+/**
+ * Gelerntes Profil eines Programms aus Historieneinträgen: Ø Dauer und – bei einheitlicher Anzahl
+ * Heizphasen – Ø Rest nach der letzten Heizphase
+ */
+function learnedProfile(entries, program) {
+    const key = program || "";
+    const runs = (Array.isArray(entries) ? entries : [])
+        .filter(e => (e.program || "") === key && Number(e.runtime) > 0)
+        .slice(-PROFILE_RUNS);
+    if (runs.length === 0) return null;
+    const minutes = runs.reduce((sum, e) => sum + e.runtime / 60000, 0) / runs.length;
+    const profile = { count: runs.length, minutes, heatingPhases: null, tailMinutes: null };
+
+    const phased = runs.filter(e => Number.isFinite(e.heatingPhases) && e.heatingPhases > 0 && Number.isFinite(e.heatEndMinute));
+    if (phased.length > 0 && phased.every(e => e.heatingPhases === phased[0].heatingPhases)) {
+        profile.heatingPhases = phased[0].heatingPhases;
+        profile.tailMinutes = phased.reduce((sum, e) => sum + Math.max(0, e.runtime / 60000 - e.heatEndMinute), 0) / phased.length;
+    }
+    return profile;
+}
+
+/**
+ * Schätzung für einen laufenden Zyklus
+ * @param {object} params
+ * @param {number} params.elapsedMinutes Laufzeit bisher
+ * @param {number} [params.plannedMinutes] Dauer aus Plan bzw. Programm
+ * @param {object} [params.profile] learnedProfile() des Programms
+ * @param {number[]} [params.curve] Minutenmittel seit Laufbeginn
+ * @param {number} [params.finishingMinutes] Rest der Nachlaufprüfung, wenn die Leistung schon abgefallen ist
+ * @returns {{totalMinutes: number, remainingMinutes: number, progress: number, basis: string}|null}
+ */
+function estimate({ elapsedMinutes, plannedMinutes, profile, curve, finishingMinutes }) {
+    const elapsed = Math.max(0, Number(elapsedMinutes) || 0);
+    const planned = Number(plannedMinutes) > 0 ? Number(plannedMinutes) : null;
+    let total = planned;
+    let basis = "planned";
+    if (profile && profile.minutes > 0) {
+        const weight = planned ? Math.min(profile.count, LEARNED_WEIGHT_RUNS) / (Math.min(profile.count, LEARNED_WEIGHT_RUNS) + 1) : 1;
+        total = weight * profile.minutes + (1 - weight) * (planned || 0);
+        basis = "learned";
+    }
+    if (!total) return null;
+
+    let remaining = total - elapsed;
+    // Letzte Heizphase vorbei: typischer Rest danach ist genauer als die Gesamtdauer
+    if (profile && profile.tailMinutes !== null) {
+        const phases = heatingPhases(curve);
+        if (phases.count === profile.heatingPhases && phases.lastEnd !== null) {
+            remaining = profile.tailMinutes - (elapsed - phases.lastEnd);
+            basis = "phase";
+        }
+    }
+    if (Number.isFinite(finishingMinutes) && finishingMinutes >= 0) {
+        remaining = finishingMinutes;
+        basis = "finishing";
+    } else if (remaining < 1) {
+        // Länger als erwartet: kleiner Rest statt 0, bis das Ende erkannt ist
+        remaining = Math.max(1, total * OVERRUN_TAIL);
+    }
+    const totalMinutes = elapsed + remaining;
+    return {
+        totalMinutes,
+        remainingMinutes: remaining,
+        progress: totalMinutes > 0 ? Math.min(99, Math.max(0, elapsed / totalMinutes * 100)) : 0,
+        basis
+    };
+}
+
+module.exports = {
+    heatingPhases,
+    learnedProfile,
+    estimate,
+};
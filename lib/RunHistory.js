@@ -0,0 +1,96 @@
+"use strict";
+
+// Hilfsfunktionen für die Laufhistorie (Einträge als plain objects, Zeitpunkte als ISO-Strings)
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+/**
+ * Eintrag anhängen, älteste Einträge über maxEntries hinaus verwerfen
+ */
+function appendEntry(entries, entry, maxEntries = DEFAULT_MAX_ENTRIES) {
+    const list = Array.isArray(entries) ? entries.slice() : [];
+    list.push(entry);
+    const max = Math.max(1, Number(maxEntries) || DEFAULT_MAX_ENTRIES);
+    return list.length > max ? list.slice(list.length - max) : list;
+}
+
+/**
+ * Filter: program, from, to (Datum/ISO, bezogen auf den Start), scheduled (bool), limit (neueste N)
+ */
+function filterEntries(entries, { program, from, to, scheduled, limit } = {}) {
+    const fromTs = from ? new Date(from).getTime() : -Infinity;
+    const toTs = to ? new Date(to).getTime() : Infinity;
+    let result = (Array.isArray(entries) ? entries : []).filter(e => {
+        const ts = new Date(e.start).getTime();
+        if (isNaN(ts) || ts < fromTs || ts > toTs) return false;
+        if (program !== undefined && program !== null && program !== "" && String(e.program) !== String(program)) return false;
+        if (typeof scheduled === "boolean" && e.scheduled !== scheduled) return false;
+        return true;
+    });
+    const n = Number(limit);
+    if (Number.isFinite(n) && n > 0 && result.length > n) result = result.slice(result.length - n);
+    return result;
+}
+
+const round = (v, digits) => Math.round(v * Math.pow(10, digits)) / Math.pow(10, digits);
+
+/**
+ * Statistik je Programm (Ø Laufzeit, Ø Energie, Ø Kosten) und je Monat (Summe kWh und Kosten)
+ */
+function computeStatistics(entries) {
+    const programs = {};
+    const months = {};
+    let totalEnergy = 0;
+    let totalCost = 0;
+    const list = Array.isArray(entries) ? entries : [];
+
+    for (const e of list) {
+        const key = e.program || "unknown";
+        const p = programs[key] || (programs[key] = { count: 0, runtimeMinutes: 0, energyKWh: 0, cost: 0, energyCount: 0 });
+        p.count++;
+        p.runtimeMinutes += (Number(e.runtime) || 0) / 60000;
+        if (Number.isFinite(e.energy)) {
+            p.energyKWh += e.energy;
+            p.cost += Number(e.cost) || 0;
+            p.energyCount++;
+        }
+
+        const d = new Date(e.start);
+        if (isNaN(d.getTime())) continue;
+        const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+        const m = months[month] || (months[month] = { count: 0, energyKWh: 0, cost: 0 });
+        m.count++;
+        m.energyKWh += Number(e.energy) || 0;
+        m.cost += Number(e.cost) || 0;
+        totalEnergy += Number(e.energy) || 0;
+        totalCost += Number(e.cost) || 0;
+    }
+
+    const programStats = {};
+    for (const [key, p] of Object.entries(programs)) {
+        programStats[key] = {
+            count: p.count,
+            avgRuntimeMinutes: round(p.runtimeMinutes / p.count, 1),
+            avgEnergyKWh: p.energyCount ? round(p.energyKWh / p.energyCount, 3) : null,
+            avgCost: p.energyCount ? round(p.cost / p.energyCount, 4) : null
+        };
+    }
+    for (const m of Object.values(months)) {
+        m.energyKWh = round(m.energyKWh, 3);
+        m.cost = round(m.cost, 4);
+    }
+
+    return {
+        runs: list.length,
+        totalEnergyKWh: round(totalEnergy, 3),
+        totalCost: round(totalCost, 4),
+        programs: programStats,
+        months
+    };
+}
+
+module.exports = {
+    appendEntry,
+    filterEntries,
+    computeStatistics,
+};
@@ -0,0 +1,137 @@
+"use strict";
+
+// Parsen von Zeitangaben aus sendTo-Payloads, States und Gerätekonfiguration
+
+const RE_TIME_ONLY = /^(\d{1,2}):(\d{2})$/;
+const RE_GERMAN = /^(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})$/;
+
+// Wochentage (Deutsch/Englisch) -> Date.getDay()
+const DAY_NAMES = {
+    so: 0, su: 0, sun: 0, mo: 1, mon: 1, di: 2, tu: 2, tue: 2, mi: 3, we: 3, wed: 3,
+    do: 4, th: 4, thu: 4, fr: 5, fri: 5, sa: 6, sat: 6
+};
+const DAY_GROUPS = {
+    "": [0, 1, 2, 3, 4, 5, 6], "*": [0, 1, 2, 3, 4, 5, 6], "täglich": [0, 1, 2, 3, 4, 5, 6], "daily": [0, 1, 2, 3, 4, 5, 6],
+    "werktags": [1, 2, 3, 4, 5], "weekdays": [1, 2, 3, 4, 5], "wochenende": [0, 6], "weekend": [0, 6]
+};
+
+/**
+ * "HH:MM" -> { h, mi } oder null
+ */
+function parseTimeOfDay(value) {
+    const m = String(value).trim().match(RE_TIME_ONLY);
+    if (!m) return null;
+    const h = parseInt(m[1], 10);
+    const mi = parseInt(m[2], 10);
+    if (h < 0 || h > 23 || mi < 0 || mi > 59) return null;
+    return { h, mi };
+}
+
+// "Mo", "Montag", "mon", "1" (ISO, 7 = Sonntag) -> 0..6 wie Date.getDay(), sonst null
+function dayIndex(token) {
+    const t = String(token).trim().toLowerCase();
+    if (/^[1-7]$/.test(t)) return Number(t) % 7;
+    return DAY_NAMES[t.slice(0, 3)] ?? DAY_NAMES[t.slice(0, 2)] ?? null;
+}
+
+/**
+ * Wochentage: "Mo-Fr", "Sa,So", "1-5", "werktags", leer = täglich
+ * @returns {Set<number>|null} Tage wie Date.getDay() oder null bei ungültiger Angabe
+ */
+function parseDays(value) {
+    const text = String(value ?? "").trim().toLowerCase().replace(/\s*-\s*/g, "-");
+    if (DAY_GROUPS[text]) return new Set(DAY_GROUPS[text]);
+    const days = new Set();
+    for (const part of text.split(/[,;\s]+/).filter(Boolean)) {
+        const range = part.split("-");
+        if (range.length > 2) return null;
+        const from = dayIndex(range[0]);
+        const to = dayIndex(range[range.length - 1]);
+        if (from === null || to === null) return null;
+        // Bereiche dürfen über das Wochenende laufen (Fr-Mo)
+        for (let d = from; ; d = (d + 1) % 7) {
+            days.add(d);
+            if (d === to) break;
+        }
+    }
+    return days.size > 0 ? days : null;
+}
+
+/**
+ * Datum parsen (deutsches Format dd.mm.yyyy HH:MM, nur HH:MM oder ISO fallback).
+ * Nur-Zeit-Angaben liegen immer in der Zukunft: ist der Zeitpunkt heute schon vorbei -> morgen.
+ * @returns {Date|null}
+ */
+function parseDateInput(value, now = new Date()) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value !== "string") return null;
+    const trimmed = value.trim();
+
+    const tod = parseTimeOfDay(trimmed);
+    if (tod) {
+        let date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), tod.h, tod.mi, 0, 0);
+        if (date.getTime() <= now.getTime()) {
+            date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, tod.h, tod.mi, 0, 0);
+        }
+        return date;
+    }
+
+    const m = trimmed.match(RE_GERMAN);
+    if (m) {
+        const [ , dStr, moStr, yStr, hStr, minStr ] = m;
+        const date = new Date(parseInt(yStr, 10), parseInt(moStr, 10) - 1, parseInt(dStr, 10), parseInt(hStr, 10), parseInt(minStr, 10), 0, 0);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // ISO oder anderes Format versuchen
+    const tmp = new Date(trimmed);
+    return isNaN(tmp.getTime()) ? null : tmp;
+}
+
+/**
+ * Frühester Start: "HH:MM" meint heute zu dieser Uhrzeit (liegt sie schon zurück, gilt sie als erfüllt),
+ * andere Formate wie parseDateInput.
+ */
+function parseEarliestStart(value, now = new Date()) {
+    if (value === null || value === undefined || value === "") return null;
+    const tod = parseTimeOfDay(value);
+    if (tod) return new Date(now.getFullYear(), now.getMonth(), now.getDate(), tod.h, tod.mi, 0, 0);
+    return parseDateInput(value, now);
+}
+
+/**
+ * Deadline: "HH:MM" meint das nächste Auftreten nach reference (z. B. "07:00" am Abend -> morgen früh).
+ */
+function parseDeadline(value, reference = new Date()) {
+    if (value === null || value === undefined || value === "") return null;
+    return parseDateInput(value, reference);
+}
+
+/**
+ * Ruhezeit "HH:MM"–"HH:MM" (darf über Mitternacht gehen): liegt ts darin, das Ende der Ruhezeit, sonst null
+ * @returns {Date|null}
+ */
+function quietHoursEnd(start, end, ts = new Date()) {
+    const from = parseTimeOfDay(start || "");
+    const to = parseTimeOfDay(end || "");
+    if (!from || !to) return null;
+    const t = new Date(ts);
+    const minutes = t.getHours() * 60 + t.getMinutes();
+    const fromMin = from.h * 60 + from.mi;
+    const toMin = to.h * 60 + to.mi;
+    if (fromMin === toMin) return null;
+    const inside = fromMin < toMin ? minutes >= fromMin && minutes < toMin : minutes >= fromMin || minutes < toMin;
+    if (!inside) return null;
+    const endDate = new Date(t.getFullYear(), t.getMonth(), t.getDate(), to.h, to.mi, 0, 0);
+    if (endDate.getTime() <= t.getTime()) endDate.setDate(endDate.getDate() + 1);
+    return endDate;
+}
+
+module.exports = {
+    parseTimeOfDay,
+    parseDays,
+    parseDateInput,
+    parseEarliestStart,
+    parseDeadline,
+    quietHoursEnd,
+};
@@ -0,0 +1,156 @@
+"use strict";
+
+// ToDoist-Aufgaben aus Vorlagen je Gerät: Erstellen und Schließen an Lebenszyklus-Ereignissen,
+// IDs je Vorlage im State todoistTasks
+
+const { render } = require("./Messages");
+
+const EVENTS = ["start", "finish", "dryerFinish", "doorOpened"];
+
+// Standard, solange keine Vorlagen-Tabelle gespeichert ist (entspricht dem bisherigen Verhalten)
+const DEFAULT_TEMPLATES = [
+    {
+        enabled: true, device: "washingmachine", key: "laundry", content: "Wäsche - {date} {time}",
+        subtasks: "Gewaschen@finish, Getrocknet@dryerFinish, Entfusselt, Zusammengelegt, Aufgeräumt",
+        labels: "", dueOffsetMinutes: 0, createOn: "start", closeOn: ""
+    },
+    {
+        enabled: true, device: "dishwasher", key: "unload", content: "{device} ausräumen",
+        subtasks: "", labels: "", dueOffsetMinutes: 0, createOn: "finish", closeOn: "doorOpened"
+    },
+];
+
+const splitList = value => String(value || "").split(/[,;]+/).map(v => v.trim()).filter(Boolean);
+
+/**
+ * "Gewaschen@finish, Entfusselt" -> [{ name, closeOn }]
+ */
+function parseSubtasks(value) {
+    return splitList(value).map(entry => {
+        const at = entry.lastIndexOf("@");
+        const closeOn = at > 0 ? entry.slice(at + 1).trim() : "";
+        return EVENTS.includes(closeOn) ? { name: entry.slice(0, at).trim(), closeOn } : { name: entry, closeOn: "" };
+    });
+}
+
+const pad = n => n.toString().padStart(2, "0");
+
+// Datum und Uhrzeit in der Meldungssprache des Adapters
+function templateVars(device, vars, now) {
+    const messages = device.adapter.messages;
+    return {
+        device: device.name,
+        date: messages.formatDate(now),
+        time: messages.formatTime(now),
+        program: "",
+        ...vars
+    };
+}
+
+class TodoistTasks {
+    /**
+     * @param {object} device Gerät (BaseDevice)
+     */
+    constructor(device) {
+        this.device = device;
+        this.adapter = device.adapter;
+    }
+
+    /**
+     * Vorlagen dieses Geräts: Spalte device = ID, Name oder Gerätetyp
+     */
+    getTemplates() {
+        const config = this.adapter.config.todoistTemplates;
+        const list = Array.isArray(config) ? config : DEFAULT_TEMPLATES;
+        const refs = [this.device.id, this.device.type, this.device.name].filter(Boolean).map(r => String(r).toLowerCase());
+        return list.filter(t => t && t.enabled !== false && t.key && refs.includes(String(t.device || "").trim().toLowerCase()));
+    }
+
+    async getStored() {
+        const state = await this.device.getStateAsync("todoistTasks");
+        try {
+            const parsed = state && state.val ? JSON.parse(state.val) : {};
+            return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            this.adapter.log.warn(`${this.device.name}: Stored ToDoist tasks are not valid JSON: ${e.message}`);
+            return {};
+        }
+    }
+
+    async store(tasks) {
+        await this.device.setStateAsync("todoistTasks", JSON.stringify(tasks), true);
+    }
+
+    /**
+     * Ereignis verarbeiten: erst schließen (Hauptaufgabe bzw. Subtasks), dann neue Aufgaben anlegen
+     * @param {string} event start | finish | dryerFinish | doorOpened
+     * @param {object} [vars] zusätzliche Platzhalter (z. B. program)
+     */
+    async handleEvent(event, vars = {}) {
+        if (!this.adapter.config.todoistEnabled) return;
+        const templates = this.getTemplates();
+        if (templates.length === 0) return;
+        const tasks = await this.getStored();
+        let changed = false;
+
+        for (const template of templates) {
+            const entry = tasks[template.key];
+            if (!entry) continue;
+            if (template.closeOn === event && entry.id) {
+                await this.adapter.closeTodoistTask(entry.id);
+                delete tasks[template.key];
+                changed = true;
+                continue;
+            }
+            for (const sub of parseSubtasks(template.subtasks)) {
+                const subId = entry.subtasks?.[sub.name];
+                if (sub.closeOn !== event || !subId) continue;
+                await this.adapter.closeTodoistTask(subId);
+                delete entry.subtasks[sub.name];
+                changed = true;
+            }
+        }
+
+        for (const template of templates) {
+            if (template.createOn !== event) continue;
+            const created = await this.create(template, vars);
+            if (created) {
+                tasks[template.key] = created;
+                changed = true;
+            }
+        }
+        if (changed) await this.store(tasks);
+    }
+
+    async create(template, vars) {
+        const now = new Date();
+        const values = templateVars(this.device, vars, now);
+        const offset = Number(template.dueOffsetMinutes) || 0;
+        let dueString;
+        if (offset > 0) {
+            const due = new Date(now.getTime() + offset * 60000);
+            dueString = `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())} ${pad(due.getHours())}:${pad(due.getMinutes())}`;
+        }
+        const labels = splitList(template.labels);
+        const main = await this.adapter.createTodoistTask({ content: render(template.content, values), labels, dueString });
+        if (!main || !main.id) {
+            this.adapter.log.warn(`${this.device.name}: Could not create ToDoist task '${template.key}'`);
+            return null;
+        }
+        const entry = { id: String(main.id), created: now.toISOString(), subtasks: {} };
+        const subtasks = parseSubtasks(template.subtasks);
+        for (let i = 0; i < subtasks.length; i++) {
+            const sub = await this.adapter.createTodoistTask({ content: render(subtasks[i].name, values), parentId: main.id, order: i + 1, labels });
+            if (sub && sub.id) entry.subtasks[subtasks[i].name] = String(sub.id);
+        }
+        return entry;
+    }
+}
+
+module.exports = {
+    EVENTS,
+    DEFAULT_TEMPLATES,
+    TodoistTasks,
+    parseSubtasks,
+    render,
+};
@@ -1,6 +1,8 @@
 "use strict";
 
 const BaseDevice = require("./BaseDevice");
+const PriceOptimizer = require("./PriceOptimizer");
+const TimeParser = require("./TimeParser");
 
 // Washing Machine Device Implementation
 class WashingMachineDevice extends BaseDevice {
@@ -12,99 +14,13 @@ class WashingMachineDevice extends BaseDevice {
         this.startTriggerDelayMs = Number(config.startTriggerDelayMs || 5000);
         this.startTriggerStateId = config.startTriggerStateId; // z.B. SwitchBot press
         this.transferBufferMinutes = Number(config.transferBufferMinutes || 10); // Puffer zwischen Waschende und Trockner
+        this.TRANSFER_REMINDER_MS = (config.transferReminderMinutes || 15) * 60 * 1000; // Eskalationsintervall Umlade-Erinnerung
+        this.transferReminderCount = 0;
+        this.REQUIRED_MINUTES = config.requiredMinutes || 120; // Default-Laufzeit für generische Planung
         // Aktiviert generische Scheduling-Funktionalität im BaseDevice
         this.genericScheduling = true;
     }
 
-    // === Helpers =============================================================
-    minutesToMs(m) { return m * 60 * 1000; }
-
-    /**
-     * Stunde-Ende (Date) zu einem Stundenstart (Date oder ISO)
-     */
-    _hourEnd(d) {
-        const start = (d instanceof Date) ? d : new Date(d);
-        return new Date(start.getTime() + 60 * 60 * 1000);
-    }
-
-    /**
-     * Zeit-gewichteter Durchschnittspreis (€/kWh) für [start, start+minutes)
-     * Preise: Array mit { startsAt (ISO), total (€/kWh) } stündlich.
-     */
-    _weightedAvg(prices, start, minutes) {
-        const end = new Date(start.getTime() + this.minutesToMs(minutes));
-        let totalCost = 0;
-        let remaining = minutes;
-
-        for (let i = 0; i < prices.length; i++) {
-            const hStart = new Date(prices[i].startsAt);
-            const hEnd = this._hourEnd(hStart);
-            const price = Number(prices[i].total);
-
-            // Überschneidung berechnen
-            const overlapStart = (start > hStart) ? start : hStart;
-            const overlapEnd = (end < hEnd) ? end : hEnd;
-
-            if (overlapEnd > overlapStart) {
-                const overlapMins = (overlapEnd - overlapStart) / 60000;
-                totalCost += price * overlapMins;
-                remaining -= overlapMins;
-                if (remaining <= 0) break;
-            }
-        }
-
-        const used = minutes - Math.max(0, remaining);
-        if (used <= 0) return null; // keine Abdeckung
-        return totalCost / used;
-    }
-
-    /**
-     * Günstigste minute-genaue Zeitspanne mit fester Dauer (minutes).
-     */
-    _findCheapestWindowByMinutes(prices, minutes, notBefore = new Date()) {
-        if (!Array.isArray(prices) || prices.length === 0) return null;
-        const lastHourStart = new Date(prices[prices.length - 1].startsAt);
-        const lastEnd = this._hourEnd(lastHourStart);
-
-        const candidates = new Set();
-
-        // Start an Stundengrenzen
-        for (let i = 0; i < prices.length; i++) {
-            const s = new Date(prices[i].startsAt);
-            if (s >= notBefore && new Date(s.getTime() + this.minutesToMs(minutes)) <= lastEnd) {
-                candidates.add(s.getTime());
-            }
-        }
-        // Ende an Stundengrenzen
-        for (let i = 0; i < prices.length; i++) {
-            const e = this._hourEnd(new Date(prices[i].startsAt));
-            const s = new Date(e.getTime() - this.minutesToMs(minutes));
-            if (s >= notBefore && e <= lastEnd) {
-                candidates.add(s.getTime());
-            }
-        }
-        // notBefore selbst testen
-        const sNB = new Date(notBefore);
-        if (new Date(sNB.getTime() + this.minutesToMs(minutes)) <= lastEnd) {
-            candidates.add(sNB.getTime());
-        }
-
-        let best = null;
-        for (const ts of candidates) {
-            const start = new Date(Number(ts));
-            const avg = this._weightedAvg(prices, start, minutes);
-            if (avg == null) continue;
-            if (!best || avg < best.avgPrice) {
-                best = {
-                    startTime: start,
-                    endTime: new Date(start.getTime() + this.minutesToMs(minutes)),
-                    avgPrice: avg
-                };
-            }
-        }
-        return best;
-    }
-
     // === Object creation / states ===========================================
     async createDeviceObjects(deviceId) {
         const washingMachineStates = [
@@ -120,28 +36,6 @@ class WashingMachineDevice extends BaseDevice {
                     def: 0
                 }
             },
-            {
-                id: "task_id",
-                common: {
-                    name: "ToDoist Main Task ID",
-                    type: "string",
-                    role: "value",
-                    read: true,
-                    write: true,
-                    def: ""
-                }
-            },
-            {
-                id: "subtask_gewaschen_id",
-                common: {
-                    name: "ToDoist Subtask Gewaschen ID",
-                    type: "string",
-                    role: "value",
-                    read: true,
-                    write: true,
-                    def: ""
-                }
-            },
             {
                 id: "transferBufferMinutes",
                 common: {
@@ -180,31 +74,51 @@ class WashingMachineDevice extends BaseDevice {
 
     async handlePowerChange(power) {
         const isRunning = await this.getStateValue("running");
+        await this.trackPower(power, isRunning);
         if (power > this.EPS && !isRunning) {
             await this.startDevice();
         } else if (power <= this.EPS && isRunning) {
             // Starte Nachlauf-Timer
             if (!this.postTimer) {
                 this.adapter.log.debug(`${this.name}: Power < EPS, starting POST_CONFIRM_MS timer (${this.POST_CONFIRM_MS}ms)`);
-                this.postTimer = setTimeout(async () => {
-                    this.postTimer = null;
-                    const currentPower = await this.getCurrentPower();
-                    const stillRunning = await this.getStateValue("running");
-                    if (currentPower <= this.EPS && stillRunning) {
-                        await this.finishDevice();
-                    }
-                }, this.POST_CONFIRM_MS);
+                await this.beginFinishing();
+                this.postTimer = this.setPersistentTimer("post", this.POST_CONFIRM_MS);
             }
         } else if (power > this.EPS && this.postTimer) {
             // Wenn wieder > EPS, Timer abbrechen
-            clearTimeout(this.postTimer);
+            this.clearPersistentTimer("post");
             this.postTimer = null;
+            await this.resumeRunning();
+        }
+    }
+
+    async onPostTimer() {
+        this.postTimer = null;
+        const currentPower = await this.getCurrentPower();
+        const stillRunning = await this.getStateValue("running");
+        if (currentPower <= this.EPS && stillRunning) {
+            await this.finishDevice();
         }
     }
 
+    // Nachlauf und Umlade-Erinnerungen überstehen einen Neustart (siehe BaseDevice.setPersistentTimer)
+    getTimerHandler(name) {
+        switch (name) {
+            case "post": return () => this.onPostTimer();
+            case "transfer": return payload => this.onTransferReminder(payload);
+            default: return super.getTimerHandler(name);
+        }
+    }
+
+    onTimerRestored(name, payload) {
+        if (name === "post") this.postTimer = true;
+        super.onTimerRestored(name, payload);
+    }
+
     async startDevice() {
         this.adapter.log.info(`${this.name}: Device started`);
         await this.setStateAsync("running", true, true);
+        await this.beginRun(await this.getCurrentPower());
         // Echte Startzeit überschreiben
         await this.setStateAsync("startTime", new Date().toISOString(), true);
         // Sicherstellen dass scheduled zurückgesetzt ist
@@ -212,37 +126,7 @@ class WashingMachineDevice extends BaseDevice {
         if (scheduled) {
             await this.setStateAsync("scheduled", false, true);
         }
-        await this.adapter.sendNotification(`${this.name}: Started`);
-        await this.createTodoistMainTaskWithSubtasks();
-    }
-
-    async createTodoistMainTaskWithSubtasks() {
-        try {
-            const now = new Date();
-            const pad = n => n.toString().padStart(2, '0');
-            const dateStr = `${pad(now.getDate())}.${pad(now.getMonth()+1)}.${now.getFullYear()} ${pad(now.getHours())}:${pad(now.getMinutes())}`;
-            const mainTask = await this.adapter.createTodoistTask({
-                content: `Wäsche - ${dateStr}`,
-            });
-            if (!mainTask || !mainTask.id) {
-                this.adapter.log.warn(`${this.name}: Could not create main ToDoist task.`);
-                return;
-            }
-            await this.setStateAsync("task_id", mainTask.id, true);
-            const subtasks = ["Gewaschen", "Getrocknet", "Entfusselt", "Zusammengelegt", "Aufgeräumt"];
-            for (let i = 0; i < subtasks.length; i++) {
-                const subtask = await this.adapter.createTodoistTask({
-                    content: subtasks[i],
-                    parentId: mainTask.id,
-                    order: i + 1
-                });
-                if (subtasks[i] === "Gewaschen" && subtask && subtask.id) {
-                    await this.setStateAsync("subtask_gewaschen_id", subtask.id, true);
-                }
-            }
-        } catch (e) {
-            this.adapter.log.warn(`${this.name}: Error creating ToDoist main/subtasks: ${e.message}`);
-        }
+        await this.sendNotification(this.t("run.started"), "started");
     }
 
     async finishDevice() {
@@ -251,22 +135,224 @@ class WashingMachineDevice extends BaseDevice {
         const runtime = Date.now() - (startTime ? new Date(startTime).getTime() : Date.now());
         await this.setStateAsync("running", false, true);
         await this.setStateAsync("runtime", runtime, true);
-        await this.adapter.sendNotification(`${this.name}: Finished`);
-        await this.closeTodoistSubtaskGewaschen();
+        const energy = await this.completeRun(runtime);
+        await this.sendNotification(this.finishedText(energy), "finished");
+        // Mit Trockner-Übergabe erinnern die Umlade-Erinnerungen, sonst die Ausräum-Erinnerungen
+        if (await this.handOffToDryer()) {
+            await this.setStateAsync("unloaded", false, true);
+            await this.setStatus("awaiting_unload", "waiting for transfer to dryer");
+        } else {
+            await this.startUnloadReminders();
+        }
+    }
+
+    unloadReminderText(count) {
+        return this.t(count === 1 ? "unload.washingmachine" : "unload.washingmachineRepeat", { count });
+    }
+
+    // Tür geöffnet: Wäsche ist raus, Umlade-Erinnerungen sind erledigt
+    async onUnloaded() {
+        this.clearPersistentTimer("transfer");
+    }
+
+    // === Übergabe Waschmaschine -> Trockner =================================
+
+    /**
+     * Verknüpften Trockner finden: config.dryerId (ID oder Name), sonst der einzige konfigurierte Trockner
+     */
+    findLinkedDryer() {
+        const dryers = [...this.adapter.devices.values()].filter(dev => dev.type === "dryer");
+        const ref = this.config.dryerId;
+        if (ref) {
+            const wanted = String(ref).toLowerCase();
+            return dryers.find(dev => dev.id === ref || (dev.name && dev.name.toLowerCase() === wanted)) || null;
+        }
+        return dryers.length === 1 ? dryers[0] : null;
+    }
+
+    // Alternativen gibt es nur für zusammenhängende Blöcke (washOnly / combined): Waschen und Trockner mitverschieben
+    shiftPlan(plan, window) {
+        const shifted = super.shiftPlan(plan, window);
+        const washEnd = new Date(new Date(window.startTime).getTime() + (Number(plan.washMinutes) || 0) * 60000);
+        shifted.wash = { start: window.startTime, end: washEnd, avgPrice: window.avgPrice };
+        if (plan.withDryer) shifted.dryer = { start: washEnd, end: window.endTime, avgPrice: window.avgPrice };
+        return shifted;
+    }
+
+    /**
+     * Programme dieser Maschine aus der Programmtabelle (Spalte device: ID oder Name, leer = alle Maschinen).
+     * Gerätespezifische Einträge überschreiben gleichnamige allgemeine Einträge.
+     */
+    getWashingPrograms() {
+        const list = Array.isArray(this.adapter.config.washingPrograms) ? this.adapter.config.washingPrograms : [];
+        const name = (this.name || "").toLowerCase();
+        const programs = new Map();
+        for (const entry of list) {
+            if (!entry || entry.program === undefined || entry.program === null || entry.program === "") continue;
+            const ref = (entry.device || "").toString().trim();
+            const own = ref !== "" && (ref === this.id || ref.toLowerCase() === name);
+            if (ref !== "" && !own) continue;
+            const key = String(entry.program);
+            if (own || !programs.has(key) || !programs.get(key).own) programs.set(key, { ...entry, program: key, own });
+        }
+        return [...programs.values()].map(({ own, ...entry }) => entry);
+    }
+
+    /**
+     * Programm-Konfiguration mit aufgelöster Trocknerdauer (Programm > Waschmaschine > global > 180 min)
+     * @returns {{program: string, duration: number, withDryer: boolean, dryerDuration: number, dryLevel: string}|null}
+     */
+    findWashingProgram(program) {
+        const entry = this.getWashingPrograms().find(p => p.program === String(program));
+        if (!entry) return null;
+        return {
+            program: entry.program,
+            duration: Number(entry.duration),
+            withDryer: !!entry.withDryer,
+            dryerDuration: Number(entry.dryerDuration) || Number(this.config.dryerDuration) || Number(this.adapter.config.dryerDuration) || 180,
+            dryLevel: entry.dryLevel || ""
+        };
+    }
+
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            washingPrograms: this.getWashingPrograms().map(p => p.program),
+            dryerHandOff: !!this.findLinkedDryer()
+        };
+    }
+
+    // Split: Wasch- und Trocknerfenster gewichtet, sonst der gesamte Block
+    evaluatePlanPrice(plan, prices) {
+        if (plan.variant !== "split" || !plan.wash || !plan.dryer) return super.evaluatePlanPrice(plan, prices);
+        const wash = PriceOptimizer.averagePrice(prices, plan.wash.start, plan.wash.end);
+        const dry = PriceOptimizer.averagePrice(prices, plan.dryer.start, plan.dryer.end);
+        if (wash === null || dry === null) return null;
+        const washMinutes = Number(plan.washMinutes) || 0;
+        const dryMinutes = Number(plan.dryMinutes) || 0;
+        return (wash * washMinutes + dry * dryMinutes) / Math.max(1, washMinutes + dryMinutes);
     }
 
-    async closeTodoistSubtaskGewaschen() {
+    async replan(plan, options) {
+        // Bereits übergebener Trocknerblock wird nicht erneut geplant
+        if (plan.handedOff) return null;
+        return this.planWashingProgram({
+            program: plan.program, duration: plan.washMinutes, dryerNeeded: !!plan.withDryer, dryerDuration: plan.dryMinutes,
+            dryLevel: plan.dryLevel, earliestStart: plan.earliestStart || undefined, deadline: plan.deadline || undefined
+        }, { ...options, recurring: plan.recurring || null });
+    }
+
+    // Dauer des geplanten oder erkannten Waschprogramms, sonst Plan bzw. Standardlaufzeit
+    async getExpectedRunMinutes(ctx) {
+        const program = ctx?.program ? this.findWashingProgram(ctx.program) : null;
+        if (program && program.duration > 0) return program.duration;
+        return super.getExpectedRunMinutes(ctx);
+    }
+
+    getPlannedDurationMinutes(plan) {
+        return Number(plan?.washMinutes) || super.getPlannedDurationMinutes(plan);
+    }
+
+    /**
+     * Zusätzlich zum Waschblock den geplanten Trocknerblock reservieren, solange er noch nicht übergeben wurde
+     */
+    async getReservedWindows() {
+        const windows = await super.getReservedWindows();
+        if (windows.length === 0) return windows;
+        const plan = await this.getStoredPlan();
+        const dryer = this.findLinkedDryer();
+        const dryerPower = dryer ? Number(dryer.config.peakPower) || 0 : 0;
+        if (plan && plan.withDryer && !plan.handedOff && plan.dryer && dryerPower > 0) {
+            windows.push({ device: dryer.name, start: new Date(plan.dryer.start), end: new Date(plan.dryer.end), power: dryerPower });
+        }
+        return windows;
+    }
+
+    /**
+     * Plant nach Waschende den Trockner ein, falls der gespeicherte Plan einen Trocknerblock enthält
+     * @returns {Promise<boolean>} true, wenn ein Trockner übernommen hat (Umlade-Erinnerungen laufen)
+     */
+    async handOffToDryer() {
+        const plan = await this.getStoredPlan();
+        if (!plan || !plan.withDryer || plan.handedOff) return false;
+        if (plan.status && plan.status !== "accepted") return false; // Vorschlag nie angenommen
+
+        // Plan gilt als verbraucht – auch wenn die Übergabe scheitert, nicht erneut versuchen
+        await this.storePlan({ ...plan, handedOff: true });
+
+        const dryer = this.findLinkedDryer();
+        if (!dryer) {
+            this.adapter.log.warn(`${this.name}: Plan includes dryer but no linked dryer device found`);
+            await this.sendNotification(this.t("washer.transferNoDryer"), "reminder");
+            return false;
+        }
+
+        const bufferMinutes = Number(plan.transferBufferMinutes) || Number(await this.getStateValue("transferBufferMinutes")) || this.transferBufferMinutes;
+        const earliest = new Date(Date.now() + bufferMinutes * 60000);
+        const plannedStart = plan.dryer?.start ? new Date(plan.dryer.start) : null;
+        let dryerStart = null;
         try {
-            const subtaskId = await this.getStateValue("subtask_gewaschen_id");
-            if (!subtaskId) {
-                this.adapter.log.warn(`${this.name}: No subtask_gewaschen_id found to close.`);
-                return;
+            if (plannedStart && !isNaN(plannedStart.getTime()) && plannedStart >= earliest) {
+                // Geplantes Trocknerfenster liegt noch vor uns -> übernehmen
+                await dryer.setProgram(plan.program, plan.dryLevel);
+                await dryer.scheduleStartAt(plannedStart);
+                dryerStart = plannedStart;
+            } else {
+                // Fenster verpasst oder kombinierter Block -> ab Waschende + Buffer neu optimieren
+                const optimal = await dryer.scheduleOptimalStart({
+                    program: plan.program, dryLevel: plan.dryLevel, durationMinutes: plan.dryMinutes, notBefore: earliest
+                });
+                dryerStart = optimal ? optimal.startTime : null;
             }
-            await this.adapter.closeTodoistTask(subtaskId);
-            this.adapter.log.info(`${this.name}: Closed ToDoist subtask 'Gewaschen' (${subtaskId})`);
         } catch (e) {
-            this.adapter.log.warn(`${this.name}: Error closing ToDoist subtask 'Gewaschen': ${e.message}`);
+            this.adapter.log.warn(`${this.name}: Failed to schedule dryer ${dryer.name}: ${e.message}`);
+        }
+
+        let msg = this.t("washer.transfer", { dryer: dryer.name });
+        if (dryerStart) msg += `\n- ${this.t("washer.transferStart", { dryer: dryer.name, start: this.adapter.messages.formatTime(dryerStart) })}`;
+        await this.sendNotification(msg, "reminder");
+
+        this.transferReminderCount = 0;
+        if (dryerStart) this.scheduleTransferReminder(dryer, dryerStart);
+        return true;
+    }
+
+    /**
+     * Eskalierende Umlade-Erinnerung, bis die Trocknerleistung steigt oder der geplante Start erreicht ist
+     */
+    scheduleTransferReminder(dryer, dryerStart) {
+        const untilStart = dryerStart.getTime() - Date.now();
+        const delay = Math.max(0, Math.min(this.TRANSFER_REMINDER_MS, untilStart));
+        this.setPersistentTimer("transfer", delay, { dryer: dryer.id, dryerStart: dryerStart.toISOString(), count: this.transferReminderCount });
+    }
+
+    async onTransferReminder(payload) {
+        const dryer = this.adapter.devices.get(payload.dryer);
+        const dryerStart = new Date(payload.dryerStart);
+        if (!dryer || isNaN(dryerStart.getTime())) {
+            this.adapter.log.warn(`${this.name}: Transfer reminder dropped – dryer '${payload.dryer}' not available`);
+            return;
         }
+        this.transferReminderCount = Number(payload.count) || 0;
+        const dryerPower = await dryer.getCurrentPower();
+        const dryerRunning = await dryer.getStateValue("running");
+        if (dryerRunning || dryerPower > dryer.EPS) {
+            this.adapter.log.debug(`${this.name}: Dryer power detected – transfer reminder stopped`);
+            return;
+        }
+        this.transferReminderCount++;
+        if (Date.now() >= dryerStart.getTime()) {
+            await this.sendNotification(this.t("washer.dryerIdle", { dryer: dryer.name }), "error");
+            return;
+        }
+        // In der Ruhezeit still weiterprüfen
+        if (TimeParser.quietHoursEnd(this.adapter.config.quietHoursStart, this.adapter.config.quietHoursEnd)) {
+            this.transferReminderCount--;
+            this.scheduleTransferReminder(dryer, dryerStart);
+            return;
+        }
+        await this.sendNotification(this.t("washer.transferReminder", { count: this.transferReminderCount, dryer: dryer.name }), "reminder");
+        this.scheduleTransferReminder(dryer, dryerStart);
     }
 
     async getCurrentPower() {
@@ -285,8 +371,6 @@ class WashingMachineDevice extends BaseDevice {
         const running = await this.getStateValue("running");
         const startTime = await this.getStateValue("startTime");
         const runtime = await this.getStateValue("runtime");
-        const taskId = await this.getStateValue("task_id");
-        const subtaskGewaschenId = await this.getStateValue("subtask_gewaschen_id");
         const scheduled = await this.getStateValue("scheduled");
         const transferBuffer = await this.getStateValue("transferBufferMinutes");
 
@@ -299,23 +383,23 @@ class WashingMachineDevice extends BaseDevice {
         if (runtime === null) {
             await this.setStateAsync("runtime", 0, true);
         }
-        if (taskId === null) {
-            await this.setStateAsync("task_id", "", true);
-        }
-        if (subtaskGewaschenId === null) {
-            await this.setStateAsync("subtask_gewaschen_id", "", true);
-        }
         if (scheduled === null) {
             await this.setStateAsync("scheduled", false, true);
         }
         if (transferBuffer === null) {
             await this.setStateAsync("transferBufferMinutes", this.transferBufferMinutes, true);
         }
+        await this.migrateTodoistStates("laundry", { main: "task_id", subtasks: { Gewaschen: "subtask_gewaschen_id" } });
+        // Generisches Scheduling wiederherstellen
+        await this.restoreScheduledOperations();
     }
 
     stop() {
         super.stop();
-        if (this.postTimer) { clearTimeout(this.postTimer); this.postTimer = null; }
+        this.adapter.clearApplianceTimer(`${this.id}_post`);
+        this.postTimer = null;
+        this.adapter.clearApplianceTimer(`${this.id}_transfer`);
+        this.adapter.clearApplianceTimer(`${this.id}_trigger`);
     }
 
     // Überschreibt generic performScheduledStart aus BaseDevice
@@ -324,12 +408,12 @@ class WashingMachineDevice extends BaseDevice {
         const runningState = await this.getStateAsync("running");
         if (runningState?.val) {
             this.adapter.log.warn(`${this.name}: performScheduledStart aborted – already running`);
-            return;
+            return false;
         }
         const currentPower = await this.getCurrentPower();
         if (currentPower > this.EPS) {
             this.adapter.log.warn(`${this.name}: performScheduledStart aborted – power > EPS (${currentPower}W)`);
-            return;
+            return false;
         }
         // Steckdose einschalten
         if (this.config.switchStateId) {
@@ -338,32 +422,49 @@ class WashingMachineDevice extends BaseDevice {
         }
         // Optionaler Start-Trigger (SwitchBot) nach Delay
         if (this.startTriggerStateId) {
-            setTimeout(async () => {
-                try {
-                    this.adapter.log.info(`${this.name}: Triggering start via ${this.startTriggerStateId}`);
-                    await this.adapter.setForeignStateAsync(this.startTriggerStateId, true); // kein Zurücksetzen erforderlich
-                } catch (e) {
-                    this.adapter.log.warn(`${this.name}: Failed to trigger start: ${e.message}`);
-                }
-            }, this.startTriggerDelayMs);
+            this.adapter.setApplianceTimer(`${this.id}_trigger`, () => this.fireStartTrigger(), this.startTriggerDelayMs);
         }
+        return !!(this.config.switchStateId || this.startTriggerStateId);
     }
 
     // Planung ruft nun generic scheduleStartAt()
-    async planWashingProgram({ program, duration, dryerNeeded, dryerDuration }) {
+    /**
+     * Waschprogramm planen (washOnly, combined oder split). options wie bei scheduleOptimalStart
+     * (reoptimize, maxAvgPrice bezogen auf den Ø-Preis des gesamten Ablaufs, note, recurring).
+     */
+    async planWashingProgram({ program, duration, dryerNeeded, dryerDuration, dryLevel, earliestStart, deadline }, options = {}) {
         // 1) Preise holen
-        const prices = await this.adapter.getTibberPrices();
+        const prices = await this.adapter.getPrices();
         if (!Array.isArray(prices) || prices.length === 0) {
-            this.adapter.log.warn(`${this.name}: No Tibber prices available`);
-            return;
+            this.adapter.log.warn(`${this.name}: No price data available`);
+            throw new Error(this.t("error.noPrices"));
         }
-        const now = new Date();
         const washMinutes  = Math.max(1, Number(duration) || 0);
         const deviceDryerDuration = Number(this.config.dryerDuration) || 0;
         const dryMinutes   = dryerNeeded ? (Number(dryerDuration) || deviceDryerDuration || 0) : 0;
         let result = null;
+
+        // Planungsgrenzen: Deadline gilt für das Ende des gesamten Ablaufs (inkl. Trockner)
+        let constraints;
+        try {
+            constraints = this.resolveConstraints({ earliestStart, deadline }, washMinutes + dryMinutes);
+        } catch (e) {
+            if (!options.reoptimize) await this.sendNotification(this.t("washer.planFailed", { program, error: e.message }), "error");
+            throw e;
+        }
+        const now = constraints.notBefore;
+        const finishBy = constraints.finishBy;
+
         // 2) Varianten berechnen (minutengenau)
-        const findWin = (mins, earliest) => this._findCheapestWindowByMinutes(prices, mins, earliest);
+        // Haushalts-Leistungsgrenze: am Stück zählt die höhere Spitzenleistung, der Trockner-Teil wird über den Trockner geplant
+        const dryer = dryerNeeded ? this.findLinkedDryer() : null;
+        const washPeak = Number(this.config.peakPower) || 0;
+        const dryerPeak = dryer ? (Number(dryer.config.peakPower) || 0) : 0;
+        const findWin = (mins, earliest, latestEnd = finishBy, peakPower = washPeak, excluded = []) =>
+            this.findPlanningWindow(prices, mins, earliest, { finishBy: latestEnd, peakPower, excluded });
+        const findDryerWin = (mins, earliest) => dryer
+            ? dryer.findPlanningWindow(prices, mins, earliest, { finishBy, ignoreDevices: [this] })
+            : findWin(mins, earliest, finishBy, 0);
 
         // read current transfer buffer (state override possible)
         const cfgBuffer = Number(this.config.transferBufferMinutes) || this.transferBufferMinutes || 0;
@@ -371,58 +472,88 @@ class WashingMachineDevice extends BaseDevice {
         const bufferMinutes = (stateBuffer > 0) ? stateBuffer : cfgBuffer;
 
         if (dryerNeeded) {
-            // Kombinierter Gesamtzeitraum
-            const combined = findWin(washMinutes + dryMinutes, now);
-
-            // Split: zuerst Waschen, danach Trockner ab Wasch-Ende + Buffer
-            const washWin = findWin(washMinutes, now);
+            // Kombinierter Gesamtzeitraum (Betriebszeiten des Trockners gelten für den ganzen Block)
+            const dryerBlocked = dryer
+                ? dryer.getBlockedWindows(now, finishBy || new Date(now.getTime() + this.planningHorizonHours * 60 * 60 * 1000))
+                : [];
+            const combined = await findWin(washMinutes + dryMinutes, now, finishBy, Math.max(washPeak, dryerPeak), dryerBlocked);
+
+            // Split: zuerst Waschen, danach Trockner ab Wasch-Ende + Buffer (Waschende so, dass der Trockner noch passt)
+            const washLatestEnd = finishBy ? new Date(finishBy.getTime() - (bufferMinutes + dryMinutes) * 60000) : null;
+            const washWin = await findWin(washMinutes, now, washLatestEnd);
             let split = null;
             if (washWin) {
                 const earliestDryStart = new Date(washWin.endTime.getTime() + bufferMinutes * 60000);
-                const dryerWin = findWin(dryMinutes, earliestDryStart);
+                const dryerWin = await findDryerWin(dryMinutes, earliestDryStart);
                 if (dryerWin && dryerWin.startTime >= earliestDryStart) {
                     const splitAvg = (washWin.avgPrice * washMinutes + dryerWin.avgPrice * dryMinutes) / (washMinutes + dryMinutes);
                     split = { variant: "split", withDryer: true, startTime: washWin.startTime, endTime: dryerWin.endTime,
                         wash: { start: washWin.startTime, end: washWin.endTime, avgPrice: washWin.avgPrice },
                         dryer: { start: dryerWin.startTime, end: dryerWin.endTime, avgPrice: dryerWin.avgPrice },
-                        avgPriceWash: washWin.avgPrice, avgPriceDryer: dryerWin.avgPrice, _combinedAvg: splitAvg, transferBufferMinutes: bufferMinutes };
+                        avgPriceWash: washWin.avgPrice, avgPriceDryer: dryerWin.avgPrice, _combinedAvg: splitAvg, transferBufferMinutes: bufferMinutes,
+                        shiftReason: [washWin.shiftReason, dryerWin.shiftReason].filter(Boolean).join("; ") || null };
                 }
             }
             const combinedResult = combined ? { variant: "combined", withDryer: true, startTime: combined.startTime, endTime: combined.endTime,
-                avgPriceWash: combined.avgPrice, avgPriceDryer: combined.avgPrice, _combinedAvg: combined.avgPrice } : null;
+                avgPriceWash: combined.avgPrice, avgPriceDryer: combined.avgPrice, _combinedAvg: combined.avgPrice, shiftReason: combined.shiftReason || null,
+                alternatives: combined.alternatives } : null;
             if (combinedResult && split) result = (combinedResult._combinedAvg <= split._combinedAvg) ? combinedResult : split; else result = combinedResult || split || null;
         } else {
             // Nur Waschen
-            const win = findWin(washMinutes, now);
-            if (!win) { this.adapter.log.warn(`${this.name}: No suitable window for washing found`); await this.adapter.sendNotification(`No suitable time slot found for '${program}'`); return; }
-            result = { variant: "washOnly", withDryer: false, startTime: win.startTime, endTime: win.endTime, avgPriceWash: win.avgPrice, avgPriceDryer: 0 };
+            const win = await findWin(washMinutes, now);
+            if (!win) { this.adapter.log.warn(`${this.name}: No suitable window for washing found`); return this._failPlanning(program, finishBy, options); }
+            result = { variant: "washOnly", withDryer: false, startTime: win.startTime, endTime: win.endTime, avgPriceWash: win.avgPrice, avgPriceDryer: 0, shiftReason: win.shiftReason || null,
+                alternatives: win.alternatives };
+        }
+        if (!result) { this.adapter.log.warn(`${this.name}: No suitable time slot found for planning`); return this._failPlanning(program, finishBy, options); }
+        if (options.reoptimize) {
+            const overallAvg = result._combinedAvg !== undefined ? result._combinedAvg : result.avgPriceWash;
+            if (!(overallAvg < options.maxAvgPrice)) return null;
         }
-        if (!result) { this.adapter.log.warn(`${this.name}: No suitable time slot found for planning`); await this.adapter.sendNotification(`No suitable time slot found for '${program}'`); return; }
-
-        // Generisches Scheduling nutzen
-        await this.scheduleStartAt(result.startTime);
 
-        const fmtDate = d => `${d.getDate()}.${d.getMonth()+1}.${d.getFullYear()}`;
-        const fmtTime = d => `${d.getHours().toString().padStart(2,"0")}:${d.getMinutes().toString().padStart(2,"0")}`;
-        let msg = `Plan für Waschprogramm '${program}' [`;
-        msg += `${washMinutes} min`;
-        if (result.withDryer) msg += ` + ${dryMinutes} min`;
-        msg += `]:\n`;
+        // Plan persistieren (Grundlage für die Trockner-Übergabe nach Waschende) und einplanen bzw. vorschlagen
+        const washEndPlanned = result.wash ? result.wash.end : new Date(result.startTime.getTime() + washMinutes * 60000);
+        const proposed = await this.commitPlan({
+            program, variant: result.variant, withDryer: result.withDryer, dryLevel: dryLevel || "",
+            washMinutes, dryMinutes, startTime: result.startTime, endTime: result.endTime,
+            wash: { start: result.startTime, end: washEndPlanned, avgPrice: result.avgPriceWash },
+            dryer: result.withDryer ? (result.dryer || { start: washEndPlanned, end: result.endTime, avgPrice: result.avgPriceDryer }) : null,
+            transferBufferMinutes: bufferMinutes, earliestStart: now, deadline: finishBy,
+            shiftReason: result.shiftReason || null, alternatives: result.alternatives || [], recurring: options.recurring || null,
+            createdAt: new Date()
+        }, { skipConfirm: !!options.reoptimize });
+
+        const header = { program, washMinutes, dryMinutes };
+        let msg = `${this.t(result.withDryer ? "washer.planHeaderDryer" : "washer.planHeader", header)}\n`;
+        const line = (key, start, end, avgPrice) => `\n- ${this.t(key, { program, ...this.windowVars(start, end, avgPrice) })}`;
         if (result.variant === "split" && result.wash && result.dryer) {
-            msg += `\n- Waschen ${fmtDate(result.wash.start)}, ${fmtTime(result.wash.start)} → ${fmtTime(result.wash.end)}`;
-            msg += `\n- Trockner ${fmtDate(result.dryer.start)}, ${fmtTime(result.dryer.start)} → ${fmtTime(result.dryer.end)}`;
+            msg += line("washer.wash", result.wash.start, result.wash.end, result.wash.avgPrice);
+            msg += line("washer.dry", result.dryer.start, result.dryer.end, result.dryer.avgPrice);
             if (result.transferBufferMinutes && result.transferBufferMinutes > 0) {
-                msg += `\n- Transfer Buffer: ${result.transferBufferMinutes} min (Zeit zum Umladen)`;
+                msg += `\n- ${this.t("washer.buffer", { minutes: result.transferBufferMinutes })}`;
             }
         } else if (result.variant === "combined") {
             const washEnd = new Date(result.startTime.getTime() + washMinutes * 60000);
-            msg += `\n- Waschen ${fmtDate(result.startTime)}, ${fmtTime(result.startTime)} → ${fmtTime(washEnd)}`;
-            msg += `\n- Trockner ${fmtDate(washEnd)}, ${fmtTime(washEnd)} → ${fmtTime(result.endTime)}`;
+            msg += line("washer.wash", result.startTime, washEnd, result.avgPriceWash);
+            msg += line("washer.dry", washEnd, result.endTime, result.avgPriceDryer);
         } else {
-            msg += `\n- Waschen ${fmtDate(result.startTime)}, ${fmtTime(result.startTime)} → ${fmtTime(result.endTime)}`;
+            msg += line("washer.wash", result.startTime, result.endTime, result.avgPriceWash);
         }
-        await this.adapter.sendNotification(msg);
+        if (finishBy) msg += `\n- ${this.finishByText(finishBy)}`;
+        if (result.shiftReason) msg += `\n- ${result.shiftReason}`;
+        if (options.note) msg += `\n- ${options.note}`;
+        if (proposed) msg += `\n- ${this.describeProposal()}`;
+        await this.sendNotification(msg, "planned", proposed ? this.planActions() : undefined);
         this.adapter.log.info(`${this.name}: ${msg}`);
+        return result;
+    }
+
+    async _failPlanning(program, finishBy, options = {}) {
+        const reason = finishBy
+            ? this.t("error.noProgramWindowDeadline", { program, deadline: this.adapter.messages.formatDateTime(finishBy) })
+            : this.t("error.noProgramWindow", { program });
+        if (!options.reoptimize) await this.sendNotification(reason, "error");
+        throw new Error(reason);
     }
 }
 
@@ -4,6 +4,27 @@ const utils = require("@iobroker/adapter-core");
 const DishwasherDevice = require("./lib/DishwasherDevice");
 const WashingMachineDevice = require("./lib/WashingMachineDevice");
 const DryerDevice = require("./lib/DryerDevice");
+const TimeParser = require("./lib/TimeParser");
+const { createPriceProvider } = require("./lib/PriceProvider");
+const RunHistory = require("./lib/RunHistory");
+const PvSurplus = require("./lib/PvSurplus");
+const { Notifier, TelegramChannel } = require("./lib/Notifier");
+const { Messages, resolveLanguage } = require("./lib/Messages");
+const { RecurringScheduler, validateRule } = require("./lib/RecurringSchedule");
+
+// Fehlercodes für sendTo-Antworten ({ success: false, error, code })
+const ErrorCodes = {
+    MISSING_PARAMETER: "MISSING_PARAMETER",
+    INVALID_PARAMETER: "INVALID_PARAMETER",
+    DEVICE_NOT_FOUND: "DEVICE_NOT_FOUND",
+    DEVICE_BUSY: "DEVICE_BUSY",
+    NOT_SUPPORTED: "NOT_SUPPORTED",
+    NOT_CONFIGURED: "NOT_CONFIGURED",
+    UNKNOWN_COMMAND: "UNKNOWN_COMMAND",
+    COMMAND_FAILED: "COMMAND_FAILED",
+    RULE_NOT_FOUND: "RULE_NOT_FOUND",
+    BLOCKED_WINDOW: "BLOCKED_WINDOW",
+};
 
 class SmartAppliances extends utils.Adapter {
 
@@ -21,6 +42,14 @@ class SmartAppliances extends utils.Adapter {
         // Geräteverwaltung
         this.devices = new Map();
         this.timers = new Map();
+        this.timerDue = new Map(); // key -> Fälligkeit (ms) für getStatus
+        this.priceProvider = null;
+        this.pvSurplus = null;
+        this.recurring = null;
+        this.notifier = null;
+        this.messages = new Messages();
+        this.telegramRequestStates = [];
+        this.priceStateIds = [];
     }
 
     /**
@@ -33,6 +62,38 @@ class SmartAppliances extends utils.Adapter {
         // Reset the connection indicator during startup
         this.setState("info.connection", false, true);
 
+        // Alte Konfiguration übernehmen; die Instanz startet danach mit der migrierten Konfiguration neu
+        if (await this.migrateConfig()) return;
+
+        // Sprache der Meldungen (Adapter-Einstellung oder ioBroker-Systemsprache) und eigene Vorlagen
+        this.messages = new Messages(await this.resolveMessageLanguage(), this.config.messageTemplates);
+
+        // Notification channels and routing
+        this.notifier = new Notifier(this, this.config);
+        // Button callbacks (plan confirmation) arrive as "[user]data" in communicate.request
+        this.telegramRequestStates = this.notifier.getTelegramInstances().map(inst => `${inst}.communicate.request`);
+        for (const id of this.telegramRequestStates) {
+            await this.subscribeForeignStatesAsync(id);
+        }
+
+        // Price source (Tibber, generic JSON state, ...)
+        this.priceProvider = createPriceProvider(this, this.config);
+        // Wiederkehrende Planungsregeln (Vorkommen werden geplant, sobald ihre Preise vorliegen)
+        this.recurring = new RecurringScheduler(this);
+        await this.recurring.loadRules();
+        // Neue Preise (z. B. PricesTomorrow am Nachmittag) -> geplante Starts neu optimieren, Regeln prüfen
+        // (immer abonnieren: Regeln können per sendTo ohne Neustart hinzukommen)
+        this.priceStateIds = this.config.priceOptimizationEnabled ? this.priceProvider.getStateIds() : [];
+        for (const id of this.priceStateIds) {
+            await this.subscribeForeignStatesAsync(id);
+        }
+
+        // PV-Überschuss (Prognose und/oder Live-Wert) für effektive Preise und opportunistische Starts
+        this.pvSurplus = new PvSurplus(this, this.config);
+        if (this.pvSurplus.enabled && this.config.pvSurplusStateId) {
+            await this.subscribeForeignStatesAsync(this.config.pvSurplusStateId);
+        }
+
         // Load devices from configuration
         await this.loadDevices();
 
@@ -42,6 +103,9 @@ class SmartAppliances extends utils.Adapter {
         // Start device monitoring
         await this.startDeviceMonitoring();
 
+        // Wiederkehrende Regeln erst prüfen, wenn die Geräte-States nach dem Start zugestellt sind
+        this.setApplianceTimer("recurring_check", () => this.runRecurringCheck(), 30000);
+
         // Set connection status
         this.setState("info.connection", true, true);
         this.log.info("Smart Appliances Adapter started successfully");
@@ -51,21 +115,88 @@ class SmartAppliances extends utils.Adapter {
             if (!obj || !obj.command) return;
             try {
                 switch (obj.command) {
-                    case "setWashingProgram":
-                        await this.handleSetWashingProgram(obj.message || {});
-                        if (obj.callback) this.sendTo(obj.from, obj.command, { success: true }, obj.callback);
+                    case "setWashingProgram": {
+                        const result = await this.handleSetWashingProgram(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "getHistory": {
+                        const result = await this.handleGetHistory(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "listDevices": {
+                        const result = this.handleListDevices();
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "getStatus": {
+                        const result = await this.handleGetStatus(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "getPlan": {
+                        const result = await this.handleGetPlan(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "cancel": {
+                        const result = await this.handleCancel(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "startNow": {
+                        const result = await this.handleStartNow(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "confirmPlan": {
+                        const result = await this.handleConfirmPlan(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "planOptimal": {
+                        const result = await this.handlePlanOptimal(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "listRules": {
+                        const result = await this.handleListRules();
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "setRule": {
+                        const result = await this.handleSetRule(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "deleteRule": {
+                        const result = await this.handleDeleteRule(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+                    case "skipNext": {
+                        const result = await this.handleSkipNext(obj.message || {});
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
                         break;
+                    }
+                    case "pauseRule":
+                    case "resumeRule": {
+                        const result = await this.handlePauseRule(obj.message || {}, obj.command === "pauseRule");
+                        if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
                     case "setStart":
                         const result = await this.handleSetStart(obj.message || {});
                         if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
                         break;
                     default:
                         this.log.warn(`Unknown message command: ${obj.command}`);
-                        if (obj.callback) this.sendTo(obj.from, obj.command, { success: false, error: "Unknown command" }, obj.callback);
+                        if (obj.callback) this.sendTo(obj.from, obj.command, this.commandError(ErrorCodes.UNKNOWN_COMMAND, this.t("command.unknown", { command: obj.command })), obj.callback);
                 }
             } catch (e) {
                 this.log.warn(`Command ${obj.command} failed: ${e.message}`);
-                if (obj?.callback) this.sendTo(obj.from, obj.command, { success: false, error: e.message }, obj.callback);
+                if (obj?.callback) this.sendTo(obj.from, obj.command, this.commandError(ErrorCodes.COMMAND_FAILED, e.message), obj.callback);
             }
         });
     }
@@ -172,6 +303,7 @@ class SmartAppliances extends utils.Adapter {
                 clearTimeout(timer);
             }
             this.timers.clear();
+            this.timerDue.clear();
 
             // Stop all devices
             for (const device of this.devices.values()) {
@@ -191,6 +323,21 @@ class SmartAppliances extends utils.Adapter {
     onStateChange(id, state) {
         if (state) {
             this.log.debug(`State ${id} change triggered: ${state.val} (ack = ${state.ack})`);
+            if (this.telegramRequestStates.includes(id)) {
+                this.handleTelegramRequest(id, state).catch(e => this.log.warn(`Telegram callback failed: ${e.message}`));
+                return;
+            }
+            if (this.priceStateIds.includes(id)) {
+                // Heute/Morgen kommen oft kurz nacheinander -> kurz sammeln
+                this.setApplianceTimer("prices_reoptimize", () => {
+                    this.handlePriceUpdate().catch(e => this.log.warn(`Re-optimization failed: ${e.message}`));
+                }, 10000);
+                return;
+            }
+            if (this.pvSurplus?.enabled && id === this.config.pvSurplusStateId) {
+                this.handlePvSurplusChange().catch(e => this.log.warn(`PV surplus handling failed: ${e.message}`));
+                return;
+            }
             // Immer weiterleiten an Devices (auch manuelle Änderungen), Devices unterscheiden über ack
             for (const device of this.devices.values()) {
                 if (device.handlesState(id)) {
@@ -215,22 +362,39 @@ class SmartAppliances extends utils.Adapter {
     }
 
     /**
-     * Send notification via configured services
+     * Meldungssprache: Einstellung "language" oder (leer / "system") die Sprache aus system.config
      */
-    async sendNotification(message) {
-        this.log.info(`Notification: ${message}`);
-
-        // Telegram notifications
-        if (this.config.telegramEnabled && this.config.telegramInstance) {
+    async resolveMessageLanguage() {
+        let systemLanguage = null;
+        if (!this.config.language || this.config.language === "system") {
             try {
-                await this.sendToAsync(this.config.telegramInstance, "send", { text: message });
-                this.log.debug(`Telegram notification sent to ${this.config.telegramInstance} with message: ${message}`);
-            } catch (error) {
-                this.log.warn(`Failed to send Telegram notification: ${error.message}`);
+                const sysConfig = await this.getForeignObjectAsync("system.config");
+                systemLanguage = sysConfig?.common?.language || null;
+            } catch (e) {
+                this.log.debug(`Could not read system language: ${e.message}`);
             }
-        } else {
-            this.log.debug("Telegram notifications are disabled or not fully configured");
         }
+        return resolveLanguage(this.config.language, systemLanguage);
+    }
+
+    /**
+     * Text aus dem Meldungskatalog (inkl. eigener Vorlagen)
+     * @param {string} key Schlüssel, z. B. "plan.accepted"
+     * @param {object} [vars] Platzhalter
+     */
+    t(key, vars) {
+        return this.messages.t(key, vars);
+    }
+
+    /**
+     * Send notification via the configured channels
+     * @param {string} message Text without device prefix
+     * @param {{event?: string, device?: string, deviceId?: string}} [options] Routing (event type, device)
+     */
+    async sendNotification(message, options = {}) {
+        this.log.info(`Notification: ${options.device ? `${options.device}: ` : ""}${message}`);
+        if (!this.notifier) this.notifier = new Notifier(this, this.config);
+        await this.notifier.notify({ ...options, text: message });
     }
 
     /**
@@ -256,7 +420,7 @@ class SmartAppliances extends utils.Adapter {
     /**
      * Create a ToDoist task using todoist2.0 adapter
      */
-    async createTodoistTask({ content, projectId, sectionId, priority, parentId, order }) {
+    async createTodoistTask({ content, projectId, sectionId, priority, parentId, order, labels, dueString }) {
         const projId = projectId || this.config.todoistProjectId;
         const sectId = sectionId || this.config.todoistSectionId;
         const prio = Number.isFinite(priority) ? Number(priority) : Number(this.config.todoistPriority || 2);
@@ -275,9 +439,10 @@ class SmartAppliances extends utils.Adapter {
             task: content.toString(),
             project_id: Number(projId),
             priority: prio,
-            date: "today",
+            date: dueString || this.config.todoistDueString || "today",
         };
         if (sectId) taskData.section_id = Number(sectId);
+        if (Array.isArray(labels) && labels.length > 0) taskData.labels = labels;
         if (parentId) {
             taskData.parent_id = Number(parentId);
             delete taskData.date;
@@ -309,38 +474,92 @@ class SmartAppliances extends utils.Adapter {
     }
 
     /**
-     * Get Tibber prices
+     * Get normalized prices ({ start, end, price }) from the configured price provider
      */
-    async getTibberPrices() {
-        if (!this.config.tibberEnabled || !this.config.tibberHome) {
-            throw new Error("Tibber not configured");
+    async getPrices() {
+        if (!this.config.priceOptimizationEnabled || !this.priceProvider) {
+            throw new Error("Price optimization not configured");
         }
+        return this.priceProvider.getPrices();
+    }
 
-        const tibberHome = this.config.tibberHome;
-        const todayId = `tibberlink.0.Homes.${tibberHome}.PricesToday.json`;
-        const tomorrowId = `tibberlink.0.Homes.${tibberHome}.PricesTomorrow.json`;
-
-        const todayState = await this.getForeignStateAsync(todayId);
-        const tomorrowState = await this.getForeignStateAsync(tomorrowId);
+    /**
+     * Telegram-Button gedrückt: Aktion am Gerät ausführen und Callback beantworten
+     */
+    async handleTelegramRequest(id, state) {
+        const match = String(state.val || "").match(/^\[(.*?)\](.*)$/s);
+        if (!match) return;
+        const callback = TelegramChannel.parseCallback(this, match[2]);
+        if (!callback) return;
+        const instance = id.replace(/\.communicate\.request$/, "");
+        const result = await this.handleConfirmPlan({ device: callback.deviceId, action: callback.action });
+        const answer = result.success ? this.t("action.ok") : result.error;
+        try {
+            await this.sendToAsync(instance, "send", { user: match[1], answerCallbackQuery: { text: answer, showAlert: !result.success } });
+        } catch (e) {
+            this.log.debug(`Telegram answerCallbackQuery failed: ${e.message}`);
+        }
+    }
 
-        if (!todayState || !todayState.val) {
-            throw new Error("Tibber Today data not available");
+    /**
+     * Handle confirmPlan via sendTo or Telegram button: { device, action: accept | startNow | nextBest | cancel }
+     */
+    async handleConfirmPlan(params) {
+        const { device, action } = params;
+        const dev = this.findDevice(device);
+        if (!dev) return this.commandError(ErrorCodes.DEVICE_NOT_FOUND, this.t("command.deviceNotFound", { device }));
+        try {
+            const plan = await dev.handlePlanAction(action);
+            return { success: true, device: dev.name, action, startTime: plan?.startTime ? new Date(plan.startTime).toISOString() : null };
+        } catch (e) {
+            return this.commandError(ErrorCodes.COMMAND_FAILED, e.message);
         }
+    }
 
-        let allPrices = [];
+    /**
+     * Neue Preisdaten: bestehende Pläne neu optimieren, danach Vorkommen wiederkehrender Regeln planen
+     */
+    async handlePriceUpdate() {
+        if (this.config.reoptimizeEnabled !== false) await this.reoptimizeSchedules();
+        await this.runRecurringCheck();
+    }
 
+    /**
+     * Wiederkehrende Regeln prüfen; stündlich wiederholen (nächstes Vorkommen nach einem Lauf, Preise ohne State-Trigger)
+     */
+    async runRecurringCheck() {
         try {
-            const todayPrices = JSON.parse(todayState.val);
-            allPrices = allPrices.concat(todayPrices);
+            await this.recurring.check();
+        } catch (e) {
+            this.log.warn(`Recurring schedule check failed: ${e.message}`);
+        }
+        this.setApplianceTimer("recurring_check", () => this.runRecurringCheck(), 60 * 60 * 1000);
+    }
 
-            if (tomorrowState && tomorrowState.val) {
-                const tomorrowPrices = JSON.parse(tomorrowState.val);
-                allPrices = allPrices.concat(tomorrowPrices);
+    /**
+     * Alle geplanten, noch nicht gestarteten Geräte mit den neuen Preisen neu optimieren
+     */
+    async reoptimizeSchedules() {
+        const minSaving = Number(this.config.reoptimizeMinSaving);
+        const threshold = Number.isFinite(minSaving) && minSaving >= 0 ? minSaving : 2;
+        this.log.debug(`Price update received – re-optimizing pending schedules (min. saving ${threshold} ct/kWh)`);
+        for (const device of this.devices.values()) {
+            try {
+                await device.reoptimizeSchedule(threshold);
+            } catch (e) {
+                this.log.warn(`${device.name}: Re-optimization failed: ${e.message}`);
             }
+        }
+    }
 
-            return allPrices;
-        } catch (error) {
-            throw new Error(`Failed to parse Tibber data: ${error.message}`);
+    /**
+     * Live-Überschuss an alle Geräte mit opportunistischem Start weiterreichen
+     */
+    async handlePvSurplusChange() {
+        const surplus = await this.pvSurplus.getLiveSurplus();
+        if (surplus === null) return;
+        for (const device of this.devices.values()) {
+            await device.checkOpportunisticStart(surplus);
         }
     }
 
@@ -356,10 +575,12 @@ class SmartAppliances extends utils.Adapter {
         // Set new timer
         const timer = setTimeout(() => {
             this.timers.delete(key);
+            this.timerDue.delete(key);
             callback();
         }, delay);
 
         this.timers.set(key, timer);
+        this.timerDue.set(key, Date.now() + delay);
         return timer;
     }
 
@@ -370,6 +591,7 @@ class SmartAppliances extends utils.Adapter {
         if (this.timers.has(key)) {
             clearTimeout(this.timers.get(key));
             this.timers.delete(key);
+            this.timerDue.delete(key);
             return true;
         }
         return false;
@@ -379,109 +601,315 @@ class SmartAppliances extends utils.Adapter {
      * Handle setWashingProgram via sendTo
      */
     async handleSetWashingProgram(params) {
-        const { program, withDryer } = params;
-        // Validate config
-        if (!Array.isArray(this.config.washingPrograms) || this.config.washingPrograms.length === 0) {
+        const { program, device, withDryer, earliestStart, deadline } = params;
+        if (program === undefined || program === null || program === "") {
+            this.log.warn("No washing program provided");
+            return this.commandError(ErrorCodes.MISSING_PARAMETER, this.t("command.missingParameter", { parameter: "program" }));
+        }
+        // Zielgeräte: angegebene Waschmaschine oder alle, die das Programm kennen
+        let washers;
+        if (device) {
+            const target = this.findDevice(device);
+            if (!target) return this.commandError(ErrorCodes.DEVICE_NOT_FOUND, this.t("command.deviceNotFound", { device }));
+            if (!(target instanceof WashingMachineDevice)) {
+                return this.commandError(ErrorCodes.NOT_SUPPORTED, this.t("command.notWashingMachine", { device }));
+            }
+            washers = [target];
+        } else {
+            washers = [...this.devices.values()].filter(dev => dev instanceof WashingMachineDevice);
+        }
+        if (!washers.some(dev => dev.getWashingPrograms().length > 0)) {
             this.log.warn("No washing programs configured. Please check adapter settings.");
-            return;
+            return this.commandError(ErrorCodes.NOT_CONFIGURED, this.t("command.noPrograms"));
         }
-        if (!program) {
-            this.log.warn("No washing program provided");
-            return;
+        const targets = washers.map(dev => ({ dev, progConfig: dev.findWashingProgram(program) })).filter(t => t.progConfig);
+        if (targets.length === 0) {
+            this.log.warn(`Washing program '${program}' not found in config${device ? ` for ${device}` : ""}`);
+            return this.commandError(ErrorCodes.INVALID_PARAMETER, this.t("command.programNotFound", { program }));
         }
-        // Find program config
-        const progConfig = this.config.washingPrograms.find(p => p.program === program);
-        if (!progConfig) {
-            this.log.warn(`Washing program '${program}' not found in config`);
-            return;
+        if (targets.length > 1) {
+            return this.commandError(ErrorCodes.MISSING_PARAMETER,
+                this.t("command.programAmbiguous", { program, devices: targets.map(t => t.dev.name).join(", ") }));
         }
-        if (!progConfig.duration || typeof progConfig.duration !== "number" || progConfig.duration <= 0) {
+        const { dev, progConfig } = targets[0];
+        if (!(progConfig.duration > 0)) {
             this.log.warn(`Invalid duration for washing program '${program}' in config.`);
-            return;
+            return this.commandError(ErrorCodes.NOT_CONFIGURED, this.t("command.invalidDuration", { program }));
         }
         // Use default withDryer if not provided
-        const dryerNeeded = typeof withDryer === "boolean" ? withDryer : !!progConfig.withDryer;
-        const dryerDuration = Number(this.config.dryerDuration) || 180;
-        if (dryerNeeded && (!dryerDuration || dryerDuration <= 0)) {
-            this.log.warn("Invalid dryer duration in config.");
-            return;
+        const dryerNeeded = typeof withDryer === "boolean" ? withDryer : progConfig.withDryer;
+        // Delegate to WashingMachineDevice for planning (Fehler, z. B. Deadline nicht erreichbar, gehen an den Aufrufer)
+        const result = await dev.planWashingProgram({
+            program: progConfig.program, duration: progConfig.duration, dryerNeeded, dryerDuration: progConfig.dryerDuration,
+            dryLevel: progConfig.dryLevel, earliestStart, deadline
+        });
+        const plans = [{ device: dev.name, variant: result.variant, startTime: result.startTime.toISOString(), endTime: result.endTime.toISOString() }];
+        return { success: true, plans };
+    }
+
+    /**
+     * Handle planOptimal via sendTo (generische Planung für alle Geräte mit genericScheduling)
+     */
+    async handlePlanOptimal(params) {
+        const { device, durationMinutes, program, earliestStart, deadline } = params;
+        const { target, error } = this.resolveSchedulingDevice(device);
+        if (error) return error;
+        const optimal = await target.scheduleOptimalStart({ durationMinutes, program, earliestStart, deadline });
+        return {
+            success: true,
+            device: target.name,
+            startTime: optimal.startTime.toISOString(),
+            endTime: optimal.endTime.toISOString(),
+            avgPrice: optimal.avgPrice
+        };
+    }
+
+    /**
+     * Handle getHistory via sendTo (optional gefiltert nach device, program, from, to, scheduled, limit)
+     */
+    async handleGetHistory(params) {
+        const { device, ...filter } = params;
+        const { targets, error } = this.resolveTargets(device);
+        if (error) return error;
+        const devices = [];
+        for (const dev of targets) {
+            const entries = await dev.getHistory(filter);
+            devices.push({ id: dev.id, device: dev.name, entries, statistics: RunHistory.computeStatistics(entries) });
+        }
+        return device ? { success: true, ...devices[0] } : { success: true, devices };
+    }
+
+    /**
+     * Einheitliches Fehlerobjekt für sendTo-Antworten
+     */
+    commandError(code, message) {
+        return { success: false, error: message, code };
+    }
+
+    /**
+     * Zielgeräte für Abfragen: ein Gerät (device) oder alle
+     * @returns {{targets: Array}|{error: object}}
+     */
+    resolveTargets(device) {
+        if (device === undefined || device === null || device === "") return { targets: [...this.devices.values()] };
+        const target = this.findDevice(device);
+        if (!target) return { error: this.commandError(ErrorCodes.DEVICE_NOT_FOUND, this.t("command.deviceNotFound", { device })) };
+        return { targets: [target] };
+    }
+
+    /**
+     * Gerät für Scheduling-Befehle per Name/ID auflösen (muss genericScheduling unterstützen)
+     * @returns {{target: object}|{error: object}}
+     */
+    resolveSchedulingDevice(device) {
+        if (!device) return { error: this.commandError(ErrorCodes.MISSING_PARAMETER, this.t("command.missingParameter", { parameter: "device" })) };
+        const target = this.findDevice(device);
+        if (!target) return { error: this.commandError(ErrorCodes.DEVICE_NOT_FOUND, this.t("command.deviceNotFound", { device })) };
+        if (!target.genericScheduling) {
+            return { error: this.commandError(ErrorCodes.NOT_SUPPORTED, this.t("command.noScheduling", { device })) };
         }
-        // Delegate to WashingMachineDevice for planning
-        for (const device of this.devices.values()) {
-            if (device instanceof WashingMachineDevice) {
-                await device.planWashingProgram({ program, duration: progConfig.duration, dryerNeeded, dryerDuration });
+        return { target };
+    }
+
+    /**
+     * Handle cancel via sendTo: geplanten Start bzw. offenen Vorschlag verwerfen
+     */
+    async handleCancel(params) {
+        const { target, error } = this.resolveSchedulingDevice(params.device);
+        if (error) return error;
+        const cancelled = await target.cancelPlannedStart();
+        return { success: true, device: target.name, cancelled };
+    }
+
+    /**
+     * Handle startNow via sendTo: sofort starten (performScheduledStart), offene Planung wird verworfen
+     */
+    async handleStartNow(params) {
+        const { target, error } = this.resolveSchedulingDevice(params.device);
+        if (error) return error;
+        if ((await target.getStateAsync("running"))?.val === true) {
+            return this.commandError(ErrorCodes.DEVICE_BUSY, this.t("command.deviceBusy", { device: target.name }));
+        }
+        await target.startNow();
+        return { success: true, device: target.name, startTime: new Date().toISOString() };
+    }
+
+    /**
+     * Handle listDevices via sendTo
+     */
+    handleListDevices() {
+        const devices = [...this.devices.values()].map(dev => ({
+            id: dev.id,
+            name: dev.name,
+            type: dev.type,
+            capabilities: dev.getCapabilities()
+        }));
+        return { success: true, devices };
+    }
+
+    /**
+     * Handle getStatus via sendTo: { device } (ohne device: alle Geräte)
+     */
+    async handleGetStatus(params) {
+        const { device } = params;
+        const { targets, error } = this.resolveTargets(device);
+        if (error) return error;
+        const devices = [];
+        for (const dev of targets) devices.push(await dev.getStatus());
+        return device ? { success: true, ...devices[0] } : { success: true, devices };
+    }
+
+    /**
+     * Handle getPlan via sendTo: { device } (ohne device: alle Geräte); plan = null, wenn keiner gespeichert ist
+     */
+    async handleGetPlan(params) {
+        const { device } = params;
+        const { targets, error } = this.resolveTargets(device);
+        if (error) return error;
+        const devices = [];
+        for (const dev of targets) devices.push({ id: dev.id, device: dev.name, plan: await dev.getStoredPlan() });
+        return device ? { success: true, ...devices[0] } : { success: true, devices };
+    }
+
+    /**
+     * Leistungsreservierungen aller Geräte (geplant oder laufend) für die Haushalts-Leistungsgrenze
+     * @param {Array} exclude Geräte, deren Reservierungen ignoriert werden (z. B. das gerade planende)
+     */
+    async getReservedWindows(exclude = []) {
+        const reservations = [];
+        for (const dev of this.devices.values()) {
+            if (exclude.includes(dev)) continue;
+            try {
+                reservations.push(...await dev.getReservedWindows());
+            } catch (e) {
+                this.log.warn(`${dev.name}: Failed to read reserved windows: ${e.message}`);
             }
         }
+        return reservations;
+    }
+
+    /**
+     * Gerät anhand von Name (case-insensitive) oder ID finden
+     */
+    findDevice(ref) {
+        if (ref === undefined || ref === null || ref === "") return null;
+        const wanted = String(ref).toLowerCase();
+        for (const dev of this.devices.values()) {
+            if (dev.id === ref || dev.name === ref || (dev.name && dev.name.toLowerCase() === wanted)) {
+                return dev;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Regel für Regel-Befehle per Schlüssel auflösen
+     * @returns {{rule: object}|{error: object}}
+     */
+    resolveRule(key) {
+        if (!key) return { error: this.commandError(ErrorCodes.MISSING_PARAMETER, this.t("command.missingParameter", { parameter: "rule" })) };
+        const rule = this.recurring.findRule(key);
+        if (!rule) return { error: this.commandError(ErrorCodes.RULE_NOT_FOUND, this.t("command.ruleNotFound", { rule: key })) };
+        return { rule };
+    }
+
+    /**
+     * Handle listRules via sendTo: Regeln mit Pause/Überspringen und nächstem Vorkommen
+     */
+    async handleListRules() {
+        return { success: true, rules: await this.recurring.list() };
+    }
+
+    /**
+     * Handle setRule via sendTo: Regel anlegen oder ändern ({ rule, device, days, notBefore, finishBy,
+     * durationMinutes, program, enabled }); wird im State recurringRules gespeichert und sofort geprüft.
+     * Regeln aus der Instanz-Konfiguration sind nur im Admin änderbar.
+     */
+    async handleSetRule(params) {
+        if (params.rule && this.recurring.isConfigRule(params.rule)) {
+            return this.commandError(ErrorCodes.NOT_SUPPORTED, this.t("command.ruleReadOnly", { rule: params.rule }));
+        }
+        const existing = this.recurring.findRule(params.rule);
+        const fields = ["device", "days", "notBefore", "finishBy", "durationMinutes", "program", "enabled"];
+        const rule = { enabled: true, days: "", notBefore: "", finishBy: "", durationMinutes: 0, program: "", ...existing, rule: params.rule };
+        for (const field of fields) {
+            if (params[field] !== undefined) rule[field] = params[field];
+        }
+        const invalid = validateRule(rule);
+        if (invalid) {
+            const code = invalid.key === "command.missingParameter" ? ErrorCodes.MISSING_PARAMETER : ErrorCodes.INVALID_PARAMETER;
+            return this.commandError(code, this.t(invalid.key, invalid.vars));
+        }
+        const { target, error } = this.resolveSchedulingDevice(rule.device);
+        if (error) return error;
+        rule.device = target.id;
+        rule.durationMinutes = Number(rule.durationMinutes) || 0;
+        rule.enabled = rule.enabled !== false;
+        await this.recurring.saveRule(rule);
+        await this.runRecurringCheck();
+        return { success: true, rule, created: !existing };
+    }
+
+    /**
+     * Handle deleteRule via sendTo: { rule } (nur per sendTo angelegte Regeln)
+     */
+    async handleDeleteRule(params) {
+        const { rule, error } = this.resolveRule(params.rule);
+        if (error) return error;
+        if (this.recurring.isConfigRule(rule.rule)) {
+            return this.commandError(ErrorCodes.NOT_SUPPORTED, this.t("command.ruleReadOnly", { rule: rule.rule }));
+        }
+        await this.recurring.deleteRule(rule.rule);
+        return { success: true, rule: rule.rule };
+    }
+
+    /**
+     * Handle skipNext via sendTo: nächstes Vorkommen auslassen (bereits geplant -> Plan verwerfen)
+     */
+    async handleSkipNext(params) {
+        const { rule, error } = this.resolveRule(params.rule);
+        if (error) return error;
+        const result = await this.recurring.skipNext(rule);
+        return { success: true, rule: rule.rule, ...result };
+    }
+
+    /**
+     * Handle pauseRule / resumeRule via sendTo: { rule }
+     */
+    async handlePauseRule(params, paused) {
+        const { rule, error } = this.resolveRule(params.rule);
+        if (error) return error;
+        const result = await this.recurring.setPaused(rule, paused);
+        return { success: true, rule: rule.rule, ...result };
     }
 
     /**
      * Handle setStart via sendTo
      */
     async handleSetStart(params) {
-        const { device, start, schedule = true } = params;
-        if (!device) {
-            return { success: false, error: "Parameter 'device' fehlt" };
-        }
+        const { device, start, schedule = true, force = false } = params;
+        const { target, error } = this.resolveSchedulingDevice(device);
+        if (error) return error;
         if (!start) {
-            return { success: false, error: "Parameter 'start' fehlt" };
+            return this.commandError(ErrorCodes.MISSING_PARAMETER, this.t("command.missingParameter", { parameter: "start" }));
         }
 
-        // Gerät anhand von Name (case-insensitive) oder ID finden
-        let target = null;
-        for (const dev of this.devices.values()) {
-            if (dev.id === device || dev.name === device || dev.name.toLowerCase() === String(device).toLowerCase()) {
-                target = dev; break;
-            }
-        }
-        if (!target) {
-            return { success: false, error: `Gerät '${device}' nicht gefunden` };
-        }
-        if (!target.genericScheduling) {
-            return { success: false, error: `Gerät '${device}' unterstützt kein Scheduling` };
-        }
-
-        // Datum parsen (deutsches Format dd.mm.yyyy HH:MM oder ISO fallback)
-        let date = null;
-        if (typeof start === "string") {
-            const trimmed = start.trim();
-            // Nur Zeit? (HH:MM)
-            const reTimeOnly = /^(\d{1,2}):(\d{2})$/;
-            const mt = trimmed.match(reTimeOnly);
-            if (mt) {
-                let h = parseInt(mt[1], 10);
-                let mi = parseInt(mt[2], 10);
-                if (h >= 0 && h < 24 && mi >= 0 && mi < 60) {
-                    const now = new Date();
-                    date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, mi, 0, 0);
-                    // Wenn Zeitpunkt heute schon vorbei ist -> morgen
-                    if (date.getTime() <= now.getTime()) {
-                        date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, h, mi, 0, 0);
-                    }
-                }
-            }
-            if (!date) {
-                const re = /^(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})$/;
-                const m = trimmed.match(re);
-                if (m) {
-                    const [ , dStr, moStr, yStr, hStr, minStr ] = m;
-                    const d = parseInt(dStr, 10);
-                    const mo = parseInt(moStr, 10) - 1;
-                    const y = parseInt(yStr, 10);
-                    const h = parseInt(hStr, 10);
-                    const mi = parseInt(minStr, 10);
-                    date = new Date(y, mo, d, h, mi, 0, 0);
-                } else {
-                    // ISO oder anderes Format versuchen
-                    const tmp = new Date(trimmed);
-                    if (!isNaN(tmp.getTime())) date = tmp;
-                }
-            }
-        } else if (start instanceof Date) {
-            date = start;
-        }
+        // Datum parsen (deutsches Format dd.mm.yyyy HH:MM, nur HH:MM oder ISO fallback)
+        const date = TimeParser.parseDateInput(start);
 
         if (!date || isNaN(date.getTime())) {
-            return { success: false, error: `Ungültiges Datumsformat: '${start}' (erwartet dd.mm.yyyy HH:MM)` };
+            return this.commandError(ErrorCodes.INVALID_PARAMETER, this.t("command.invalidDate", { value: start }));
+        }
+
+        // Sperrzeiten / erlaubte Fenster des Geräts: nur mit force: true einplanen
+        let warning;
+        const blocked = schedule ? target.findBlockedWindow(date) : null;
+        if (blocked) {
+            warning = target.describeBlockedWindow(blocked);
+            if (force !== true) {
+                return this.commandError(ErrorCodes.BLOCKED_WINDOW, this.t("command.blockedWindow", { device: target.name, window: warning }));
+            }
+            this.log.warn(`${target.name}: Start ${this.messages.formatDateTime(date)} forced – ${warning}`);
         }
 
         // Start durchführen
@@ -492,14 +920,40 @@ class SmartAppliances extends utils.Adapter {
             await target.setStateAsync(`scheduled`, false, true);
         }
 
-        this.log.info(`Startzeit für Gerät '${target.name}' gesetzt: ${date.toLocaleString('de-DE')} (schedule=${schedule})`);
-        return { success: true, device: target.name, startTime: date.toISOString(), scheduled: schedule };
+        this.log.info(`Startzeit für Gerät '${target.name}' gesetzt: ${this.messages.formatDateTime(date)} (schedule=${schedule})`);
+        const result = { success: true, device: target.name, startTime: date.toISOString(), scheduled: schedule };
+        if (warning) result.warning = warning;
+        return result;
+    }
+
+    /**
+     * tibberEnabled heißt jetzt priceOptimizationEnabled (gilt für alle Preisquellen): einmalig in der
+     * Instanz-Konfiguration umbenennen
+     * @returns {Promise<boolean>} true, wenn die Konfiguration geändert wurde (Instanz startet neu)
+     */
+    async migrateConfig() {
+        if (this.config.tibberEnabled === undefined) return false;
+        const enabled = this.config.tibberEnabled !== false;
+        this.config.priceOptimizationEnabled = enabled;
+        try {
+            const id = `system.adapter.${this.namespace}`;
+            const obj = await this.getForeignObjectAsync(id);
+            if (!obj || !obj.native) return false;
+            delete obj.native.tibberEnabled;
+            obj.native.priceOptimizationEnabled = enabled;
+            this.log.info(`Migrating config: tibberEnabled -> priceOptimizationEnabled (${enabled})`);
+            await this.setForeignObjectAsync(id, obj);
+            return true;
+        } catch (e) {
+            this.log.warn(`Config migration failed: ${e.message}`);
+            return false;
+        }
     }
 
     // Migrate old device states to new devices.<type>s.<id> structure
     async migrateOldDeviceObjects() {
         this.log.info('Checking for legacy device objects to migrate...');
-        const keysToCopy = ["running","scheduled","startTime","runtime","task_id","subtask_gewaschen_id","transferBufferMinutes","avgPrice","startDetected"];
+        const keysToCopy = ["running","scheduled","startTime","runtime","transferBufferMinutes","avgPrice","startDetected"];
         for (const [id, device] of this.devices) {
             try {
                 // old prefix
@@ -0,0 +1,11 @@
+"use strict";
+
+// Unbehandelte Rejections nicht stillschweigend schlucken
+process.on("unhandledRejection", e => {
+    throw e;
+});
+
+const { should, use } = require("chai");
+should();
+use(require("sinon-chai"));
+use(require("chai-as-promised"));
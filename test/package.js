@@ -0,0 +1,7 @@
+"use strict";
+
+const path = require("path");
+const { tests } = require("@iobroker/testing");
+
+// Prüft package.json und io-package.json auf Konsistenz
+tests.packageFiles(path.join(__dirname, ".."));
@@ -0,0 +1,108 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const BaseDevice = require("../lib/BaseDevice");
+
+// Adapter-Attrappe mit den Timer-Maps des Adapters und States in einer Map
+function fakeAdapter() {
+    const states = new Map();
+    return {
+        config: {}, timers: new Map(), timerDue: new Map(), states,
+        log: { info() {}, debug() {}, warn: sinon.spy() },
+        async getStateAsync(id) { return states.has(id) ? { val: states.get(id) } : null; },
+        async setStateAsync(id, val) { states.set(id, val); },
+        t: key => key,
+        sendNotification: sinon.stub().resolves(),
+        setApplianceTimer: sinon.spy(),
+        clearApplianceTimer: sinon.spy(),
+        getForeignStateAsync: sinon.stub().resolves(null),
+        setForeignStateAsync: sinon.stub().resolves()
+    };
+}
+
+describe("BaseDevice queries", () => {
+    it("reports capabilities from the device config", () => {
+        const device = new BaseDevice(fakeAdapter(), { id: "dw", name: "Spüli", type: "dishwasher", switchStateId: "a.0.sw", genericScheduling: true });
+        expect(device.getCapabilities()).to.include({ genericScheduling: true, switchable: true, startTrigger: false, powerMeasurement: false });
+    });
+
+    it("lists only its own adapter timers with due date", () => {
+        const adapter = fakeAdapter();
+        const due = Date.UTC(2026, 9, 19, 12);
+        adapter.timers.set("dw_reminder", {}).set("dw2_reminder", {}).set("dw_pv", {});
+        adapter.timerDue.set("dw_reminder", due);
+        const device = new BaseDevice(adapter, { id: "dw", name: "Spüli", type: "dishwasher" });
+        expect(device.getActiveTimers()).to.eql([
+            { name: "reminder", due: "2026-10-19T12:00:00.000Z" },
+            { name: "pv", due: null }
+        ]);
+    });
+});
+
+describe("BaseDevice status", () => {
+    const device = () => new BaseDevice(fakeAdapter(), { id: "dw", name: "Spüli", type: "dishwasher" });
+
+    it("records allowed transitions in status and statusHistory", async () => {
+        const dev = device();
+        expect(await dev.setStatus("running", "run detected")).to.be.true;
+        expect(await dev.setStatus("finishing")).to.be.true;
+        const states = dev.adapter.states;
+        expect(states.get("devices.dishwashers.dw.status")).to.equal("finishing");
+        const history = JSON.parse(states.get("devices.dishwashers.dw.statusHistory"));
+        expect(history.map(h => [h.from, h.to, h.reason])).to.eql([[null, "running", "run detected"], ["running", "finishing", ""]]);
+    });
+
+    it("ignores invalid transitions unless forced", async () => {
+        const dev = device();
+        await dev.setStatus("running");
+        expect(await dev.setStatus("idle")).to.be.false;
+        expect(dev.status).to.equal("running");
+        expect(dev.adapter.log.warn).to.have.been.calledWithMatch("Invalid status transition running -> idle");
+        expect(await dev.setStatus("idle", "adapter start", { force: true })).to.be.true;
+        expect(dev.status).to.equal("idle");
+    });
+
+    it("derives the resting status from the states", async () => {
+        const dev = device();
+        dev.adapter.states.set("devices.dishwashers.dw.unloaded", false);
+        expect(await dev.restingStatus()).to.equal("awaiting_unload");
+        dev.adapter.states.set("devices.dishwashers.dw.proposed", true);
+        expect(await dev.restingStatus()).to.equal("planned");
+    });
+});
+
+describe("BaseDevice start verification", () => {
+    const device = config => new BaseDevice(fakeAdapter(), { id: "dw", name: "Spüli", type: "dishwasher", ...config });
+    const verifyTimer = dev => dev.adapter.setApplianceTimer.getCalls().find(c => c.args[0] === "dw_verify");
+
+    it("is armed only when performScheduledStart triggered a start", async () => {
+        const idle = device();
+        idle.adapter.states.set("devices.dishwashers.dw.scheduled", true);
+        await idle._executeScheduledStart();
+        expect(verifyTimer(idle)).to.be.undefined;
+
+        const switched = device({ switchStateId: "a.0.plug" });
+        switched.adapter.states.set("devices.dishwashers.dw.scheduled", true);
+        await switched._executeScheduledStart();
+        expect(switched.adapter.setForeignStateAsync).to.have.been.calledWith("a.0.plug", true);
+        expect(verifyTimer(switched).args[2]).to.equal(5 * 60000);
+    });
+
+    it("logs a failing verification instead of throwing", async () => {
+        const dev = device({ switchStateId: "a.0.plug" });
+        dev.startVerification();
+        dev._verifyScheduledStart = sinon.stub().rejects(new Error("offline"));
+        await verifyTimer(dev).args[1]();
+        expect(dev.adapter.log.warn).to.have.been.calledWithMatch("Start verification failed: offline");
+    });
+
+    it("reads the plug state including the acknowledgement", async () => {
+        const dev = device({ switchStateId: "a.0.plug" });
+        dev.adapter.getForeignStateAsync.resolves({ val: true, ack: true });
+        expect(await dev.isSwitchAcknowledged()).to.be.true;
+        dev.adapter.getForeignStateAsync.resolves({ val: true, ack: false });
+        expect(await dev.isSwitchAcknowledged()).to.be.false;
+        expect(await device().isSwitchAcknowledged()).to.be.null;
+    });
+});
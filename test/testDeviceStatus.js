@@ -0,0 +1,70 @@
+"use strict";
+
+const { expect } = require("chai");
+const DeviceStatus = require("../lib/DeviceStatus");
+
+describe("DeviceStatus.STATUS_TRANSITIONS", () => {
+    it("only targets known statuses", () => {
+        for (const [from, targets] of Object.entries(DeviceStatus.STATUS_TRANSITIONS)) {
+            expect(targets, from).to.not.include(from);
+            for (const to of targets) expect(DeviceStatus.STATUSES, `${from} -> ${to}`).to.include(to);
+        }
+    });
+
+    it("keeps every status reachable and leavable", () => {
+        // error ist per Regel aus jedem Status erreichbar
+        const reachable = new Set([...Object.values(DeviceStatus.STATUS_TRANSITIONS).flat(), "error"]);
+        for (const status of DeviceStatus.STATUSES) {
+            expect(reachable.has(status), status).to.be.true;
+            expect(DeviceStatus.STATUS_TRANSITIONS[status], status).to.not.be.empty;
+        }
+    });
+
+    it("models the run cycle", () => {
+        expect(DeviceStatus.canTransition("idle", "planned")).to.be.true;
+        expect(DeviceStatus.canTransition("planned", "starting")).to.be.true;
+        expect(DeviceStatus.canTransition("starting", "running")).to.be.true;
+        expect(DeviceStatus.canTransition("running", "finishing")).to.be.true;
+        expect(DeviceStatus.canTransition("finishing", "running")).to.be.true;
+        expect(DeviceStatus.canTransition("finishing", "finished")).to.be.true;
+        expect(DeviceStatus.canTransition("finished", "awaiting_unload")).to.be.true;
+        expect(DeviceStatus.canTransition("awaiting_unload", "idle")).to.be.true;
+    });
+});
+
+describe("DeviceStatus.canTransition", () => {
+    it("rejects leaving a run except via finishing or finished", () => {
+        expect(DeviceStatus.canTransition("running", "idle")).to.be.false;
+        expect(DeviceStatus.canTransition("running", "planned")).to.be.false;
+        expect(DeviceStatus.canTransition("idle", "finished")).to.be.false;
+    });
+
+    it("allows error from anywhere, anything initially and rejects unknown statuses", () => {
+        expect(DeviceStatus.canTransition("running", "error")).to.be.true;
+        expect(DeviceStatus.canTransition(null, "finishing")).to.be.true;
+        expect(DeviceStatus.canTransition("idle", "broken")).to.be.false;
+        expect(DeviceStatus.isStatus("toString")).to.be.false;
+    });
+});
+
+describe("DeviceStatus.restingStatus", () => {
+    it("prefers running over planned over awaiting unload", () => {
+        expect(DeviceStatus.restingStatus({ running: true, scheduled: true, unloaded: false })).to.equal("running");
+        expect(DeviceStatus.restingStatus({ proposed: true, unloaded: false })).to.equal("planned");
+        expect(DeviceStatus.restingStatus({ unloaded: false })).to.equal("awaiting_unload");
+        expect(DeviceStatus.restingStatus({ unloaded: null })).to.equal("idle");
+        expect(DeviceStatus.restingStatus()).to.equal("idle");
+    });
+});
+
+describe("DeviceStatus.appendTransition", () => {
+    it("keeps only the newest entries without mutating the input", () => {
+        const history = Array.from({ length: DeviceStatus.HISTORY_SIZE }, (_, i) => ({ to: `s${i}` }));
+        const result = DeviceStatus.appendTransition(history, { to: "new" });
+        expect(history).to.have.lengthOf(DeviceStatus.HISTORY_SIZE);
+        expect(result).to.have.lengthOf(DeviceStatus.HISTORY_SIZE);
+        expect(result[0].to).to.equal("s1");
+        expect(result[result.length - 1].to).to.equal("new");
+        expect(DeviceStatus.appendTransition("kaputt", { to: "idle" })).to.eql([{ to: "idle" }]);
+    });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+const { expect } = require("chai");
+const EnergyMeter = require("../lib/EnergyMeter");
+
+const at = (h, mi = 0) => new Date(2026, 9, 19, h, mi).getTime();
+const prices = [
+    { start: new Date(at(10)), end: new Date(at(11)), price: 0.3 },
+    { start: new Date(at(11)), end: new Date(at(11, 15)), price: 0.1 }
+];
+
+describe("EnergyMeter", () => {
+    it("integrates power until the next sample", () => {
+        const meter = new EnergyMeter();
+        meter.start(2000, at(10));
+        meter.addSample(1000, at(10, 30));
+        meter.addSample(0, at(11));
+        expect(meter.energyKWh).to.be.closeTo(1.5, 1e-9);
+    });
+
+    it("prices each quarter hour with the active slot", () => {
+        const meter = new EnergyMeter();
+        meter.start(2000, at(10, 45));
+        const result = meter.finish(prices, at(11, 15));
+        expect(result.energyKWh).to.be.closeTo(1, 1e-9);
+        expect(result.cost).to.be.closeTo(0.5 * 0.3 + 0.5 * 0.1, 1e-9);
+        expect(result.avgPrice).to.be.closeTo(0.2, 1e-9);
+        expect(result.unpricedKWh).to.equal(0);
+    });
+
+    it("falls back to the price snapshot and counts unpriced energy", () => {
+        const meter = new EnergyMeter();
+        meter.start(1000, at(10));
+        meter.setPriceSnapshot(prices.slice(0, 1));
+        const result = meter.finish([], at(12));
+        expect(result.energyKWh).to.be.closeTo(2, 1e-9);
+        expect(result.cost).to.be.closeTo(0.3, 1e-9);
+        expect(result.unpricedKWh).to.be.closeTo(1, 1e-9);
+    });
+
+    it("ignores samples while inactive and negative power", () => {
+        const meter = new EnergyMeter();
+        meter.addSample(1000, at(10));
+        expect(meter.energyKWh).to.equal(0);
+        meter.start(-50, at(10));
+        const result = meter.finish([], at(11));
+        expect(result.energyKWh).to.equal(0);
+        expect(result.avgPrice).to.be.null;
+    });
+});
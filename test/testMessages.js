@@ -0,0 +1,49 @@
+"use strict";
+
+const { expect } = require("chai");
+const { CATALOG, Messages, render, resolveLanguage } = require("../lib/Messages");
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+describe("Messages catalog", () => {
+    it("has the same keys in German and English", () => {
+        expect(Object.keys(CATALOG.en).sort()).to.eql(Object.keys(CATALOG.de).sort());
+    });
+
+    it("uses the same placeholders in both languages", () => {
+        for (const key of Object.keys(CATALOG.de)) {
+            expect(placeholders(CATALOG.en[key] || ""), key).to.eql(placeholders(CATALOG.de[key]));
+        }
+    });
+});
+
+describe("Messages", () => {
+    it("renders templates and keeps unknown placeholders", () => {
+        expect(render("{a} und {b}", { a: 1, b: null })).to.equal("1 und {b}");
+    });
+
+    it("prefers own templates over the catalog and falls back to the key", () => {
+        const messages = new Messages("en", [{ key: "plan.rejected", text: "Nope ({device})" }, { key: "", text: "x" }]);
+        expect(messages.t("plan.rejected", { device: "WM" })).to.equal("Nope (WM)");
+        expect(messages.t("run.started")).to.equal(CATALOG.en["run.started"]);
+        expect(messages.t("does.not.exist")).to.equal("does.not.exist");
+    });
+
+    it("falls back to German for unknown languages", () => {
+        expect(new Messages("fr").language).to.equal("de");
+    });
+
+    it("resolves the language from setting or system language", () => {
+        expect(resolveLanguage("en", "de")).to.equal("en");
+        expect(resolveLanguage("system", "de")).to.equal("de");
+        expect(resolveLanguage("", "fr")).to.equal("en");
+        expect(resolveLanguage(undefined, undefined)).to.equal("de");
+    });
+
+    it("formats dates and numbers per locale", () => {
+        const date = new Date(2026, 9, 19, 7, 5);
+        expect(new Messages("de").formatDateTime(date)).to.equal("19.10.2026, 07:05");
+        expect(new Messages("de").formatNumber(1.5)).to.equal("1,50");
+        expect(new Messages("en").formatNumber(1.5, 1)).to.equal("1.5");
+    });
+});
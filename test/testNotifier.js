@@ -0,0 +1,114 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { Notifier, TelegramChannel, PushoverChannel, EmailChannel, MessengerChannel } = require("../lib/Notifier");
+const { Messages } = require("../lib/Messages");
+
+function fakeAdapter() {
+    const messages = new Messages("de");
+    return {
+        t: (key, vars) => messages.t(key, vars),
+        log: { debug: sinon.spy(), warn: sinon.spy() },
+        sendToAsync: sinon.stub().resolves(),
+        registerNotification: sinon.stub().resolves()
+    };
+}
+
+const channels = [
+    { name: "tg", type: "telegram", instance: "telegram.0" },
+    { name: "po", type: "pushover", instance: "pushover.0", recipient: "phone" },
+    { name: "mail", type: "email", instance: "email.0", recipient: "a@b.c" }
+];
+
+describe("Notification channels", () => {
+    it("formats Telegram messages as Markdown with escaped text", () => {
+        const payload = new TelegramChannel(null, { recipient: "anna" }).format({ device: "Spüli_1", event: "error", text: "*kaputt*" });
+        expect(payload).to.eql({ text: "⚠️ *Spüli\\_1*: \\*kaputt\\*", parse_mode: "Markdown", user: "anna" });
+    });
+
+    it("adds inline buttons with instance-prefixed callback data", () => {
+        const channel = new TelegramChannel({ instance: 1 }, {});
+        const payload = channel.format({
+            device: "WM", deviceId: "wm", event: "planned", text: "x",
+            actions: [{ label: "OK", action: "accept" }, { label: "Jetzt", action: "startNow" }, { label: "Abbrechen", action: "cancel" }]
+        });
+        expect(payload.reply_markup.inline_keyboard).to.eql([
+            [{ text: "OK", callback_data: "sa1:accept:wm" }, { text: "Jetzt", callback_data: "sa1:startNow:wm" }],
+            [{ text: "Abbrechen", callback_data: "sa1:cancel:wm" }]
+        ]);
+    });
+
+    it("parses only callbacks of its own instance", () => {
+        expect(TelegramChannel.parseCallback({ instance: 1 }, "sa1:nextBest:dw:2")).to.eql({ action: "nextBest", deviceId: "dw:2" });
+        expect(TelegramChannel.parseCallback({ instance: 0 }, "sa1:nextBest:dw")).to.be.null;
+        expect(TelegramChannel.parseCallback({ instance: 1 }, "hallo")).to.be.null;
+    });
+
+    it("uses the device as Pushover title and raises errors", () => {
+        expect(new PushoverChannel(null, {}).format({ device: "WM", event: "error", text: "x" }))
+            .to.eql({ message: "x", title: "WM", priority: 1 });
+    });
+
+    it("builds an e-mail subject from device and event", () => {
+        expect(new EmailChannel(fakeAdapter(), {}).format({ device: "WM", event: "finished", text: "x" }).subject).to.equal("WM – Fertig");
+    });
+
+    it("sends plain text with the phone number to messengers", () => {
+        expect(new MessengerChannel(null, { recipient: "+49" }).format({ device: "WM", text: "x" })).to.eql({ text: "WM: x", phone: "+49" });
+    });
+});
+
+describe("Notifier", () => {
+    it("falls back to the Telegram instance without channel table", async () => {
+        const adapter = fakeAdapter();
+        await new Notifier(adapter, { telegramEnabled: true, telegramInstance: "telegram.1" }).notify({ text: "Hallo" });
+        expect(adapter.sendToAsync).to.have.been.calledOnceWith("telegram.1", "send");
+    });
+
+    it("sends to all channels without routes", async () => {
+        const adapter = fakeAdapter();
+        await new Notifier(adapter, { notificationChannels: channels }).notify({ text: "x", event: "planned", device: "WM" });
+        expect(adapter.sendToAsync).to.have.been.calledThrice;
+    });
+
+    it("picks the most specific route", () => {
+        const notifier = new Notifier(fakeAdapter(), {
+            notificationChannels: channels,
+            notificationRoutes: [
+                { device: "*", event: "*", channels: "tg" },
+                { device: "*", event: "error", channels: "tg, po" },
+                { device: "wm", event: "*", channels: "mail" },
+                { device: "wm", event: "error", channels: "po" },
+                { device: "dw", event: "reminder", channels: "" }
+            ]
+        });
+        const names = (refs, event) => notifier.resolveChannels(refs, event).map(c => c.name);
+        expect(names(["wm", "WM"], "error")).to.eql(["po"]);
+        expect(names(["wm"], "planned")).to.eql(["mail"]);
+        expect(names(["dw"], "error")).to.eql(["tg", "po"]);
+        expect(names(["dw"], "reminder")).to.eql([]);
+        expect(names(["tr"], "info")).to.eql(["tg"]);
+    });
+
+    it("keeps sending when one channel fails", async () => {
+        const adapter = fakeAdapter();
+        adapter.sendToAsync.onFirstCall().rejects(new Error("offline"));
+        const notifier = new Notifier(adapter, { notificationChannels: channels.slice(0, 2) });
+        await notifier.notify({ text: "x", event: "whatever" });
+        expect(adapter.sendToAsync).to.have.been.calledTwice;
+        expect(adapter.log.warn).to.have.been.calledWithMatch("offline");
+    });
+
+    it("lists the Telegram instances for button callbacks", () => {
+        const notifier = new Notifier(fakeAdapter(), { notificationChannels: [...channels, { name: "tg2", type: "telegram", instance: "telegram.0" }] });
+        expect(notifier.getTelegramInstances()).to.eql(["telegram.0"]);
+    });
+
+    it("skips disabled channels and channels without instance", () => {
+        const notifier = new Notifier(fakeAdapter(), {
+            notificationChannels: [{ ...channels[0], enabled: false }, { name: "x", type: "email" }, { name: "nm", type: "notificationManager" }]
+        });
+        expect([...notifier.channels.keys()]).to.eql(["nm"]);
+    });
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+const { expect } = require("chai");
+const OperatingWindows = require("../lib/OperatingWindows");
+
+// 2026-10-19 ist ein Montag (Ortszeit)
+const at = (day, h, mi = 0) => new Date(2026, 9, day, h, mi);
+const config = (allowed, forbidden) => ({
+    allowed: OperatingWindows.parseWindows(allowed).windows,
+    forbidden: OperatingWindows.parseWindows(forbidden).windows
+});
+
+describe("OperatingWindows.parseWindows", () => {
+    it("parses entries with and without weekdays and reports invalid ones", () => {
+        const { windows, invalid } = OperatingWindows.parseWindows("Mo-Fr 09:00-12:00; 22:00-07:00; morgens");
+        expect(windows).to.have.lengthOf(2);
+        expect([...windows[0].days]).to.have.members([1, 2, 3, 4, 5]);
+        expect(windows[1].days.size).to.equal(7);
+        expect(windows[1].text).to.equal("22:00-07:00");
+        expect(invalid).to.eql(["morgens"]);
+    });
+});
+
+describe("OperatingWindows.blockedIntervals", () => {
+    it("returns forbidden windows crossing midnight", () => {
+        const blocked = OperatingWindows.blockedIntervals(config("", "22:00-07:00"), at(19, 12), at(20, 12));
+        expect(blocked).to.eql([{ start: at(19, 22), end: at(20, 7), text: "22:00-07:00" }]);
+    });
+
+    it("includes a forbidden window that started the day before", () => {
+        const blocked = OperatingWindows.blockedIntervals(config("", "22:00-07:00"), at(19, 3), at(19, 12));
+        expect(blocked).to.eql([{ start: at(18, 22), end: at(19, 7), text: "22:00-07:00" }]);
+    });
+
+    it("blocks the time outside allowed windows", () => {
+        const blocked = OperatingWindows.blockedIntervals(config("Mo-Fr 09:00-12:00", ""), at(19, 0), at(20, 0));
+        expect(blocked).to.eql([
+            { start: at(19, 0), end: at(19, 9), text: null },
+            { start: at(19, 12), end: at(20, 0), text: null }
+        ]);
+    });
+
+    it("blocks whole days without an allowed window", () => {
+        // Samstag
+        const blocked = OperatingWindows.blockedIntervals(config("Mo-Fr 09:00-12:00", ""), at(24, 0), at(25, 0));
+        expect(blocked).to.eql([{ start: at(24, 0), end: at(25, 0), text: null }]);
+    });
+
+    it("keeps allowed windows crossing midnight open on the next day", () => {
+        const blocked = OperatingWindows.blockedIntervals(config("Sa 22:00-02:00", ""), at(25, 0), at(25, 6));
+        expect(blocked).to.eql([{ start: at(25, 2), end: at(25, 6), text: null }]);
+    });
+
+    it("combines allowed and forbidden windows", () => {
+        const blocked = OperatingWindows.blockedIntervals(config("08:00-20:00", "Mo 12:00-13:00"), at(19, 6), at(19, 22));
+        expect(blocked).to.eql([
+            { start: at(19, 6), end: at(19, 8), text: null },
+            { start: at(19, 12), end: at(19, 13), text: "Mo 12:00-13:00" },
+            { start: at(19, 20), end: at(19, 22), text: null }
+        ]);
+    });
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PersistentTimers = require("../lib/PersistentTimers");
+
+// Gerät mit Timer-Registry-Attrappe: angelegte Timer werden mit Callback und Verzögerung gemerkt
+function fakeDevice(handlers = {}) {
+    const registry = new Map();
+    const states = new Map();
+    const adapter = {
+        log: { info() {}, warn: sinon.spy() },
+        setApplianceTimer: (key, callback, delay) => registry.set(key, { callback, delay }),
+        clearApplianceTimer: key => registry.delete(key)
+    };
+    return {
+        id: "dw", name: "Spüli", adapter, registry, states,
+        getTimerHandler: name => handlers[name] || null,
+        onTimerRestored: sinon.spy(),
+        async getStateAsync(name) { return states.has(name) ? { val: states.get(name) } : null; },
+        async setStateAsync(name, val) { states.set(name, val); }
+    };
+}
+
+describe("PersistentTimers", () => {
+    let clock;
+    beforeEach(() => { clock = sinon.useFakeTimers(new Date(2026, 9, 19, 12, 0)); });
+    afterEach(() => clock.restore());
+
+    it("stores the intent and removes it when the timer fires", async () => {
+        const handler = sinon.spy();
+        const device = fakeDevice({ unload: handler });
+        const timers = new PersistentTimers(device);
+        timers.set("unload", 60000, { count: 2 });
+        expect(JSON.parse(device.states.get("timers"))).to.eql([
+            { key: "dw_unload", due: new Date(2026, 9, 19, 12, 1).toISOString(), payload: { count: 2 } }
+        ]);
+        await device.registry.get("dw_unload").callback();
+        expect(handler).to.have.been.calledOnceWith({ count: 2 });
+        expect(timers.has("unload")).to.be.false;
+        expect(device.states.get("timers")).to.equal("[]");
+    });
+
+    it("clears intent and registry entry", () => {
+        const device = fakeDevice({ end: () => {} });
+        const timers = new PersistentTimers(device);
+        timers.set("end", 1000);
+        timers.clear("end");
+        expect(device.registry.has("dw_end")).to.be.false;
+        expect(device.states.get("timers")).to.equal("[]");
+    });
+
+    it("restores own known timers and fires overdue ones immediately", async () => {
+        const device = fakeDevice({ end: () => {}, post: () => {} });
+        device.states.set("timers", JSON.stringify([
+            { key: "dw_end", due: new Date(2026, 9, 19, 12, 10).toISOString(), payload: { lastAboveZeroTs: 1 } },
+            { key: "dw_post", due: new Date(2026, 9, 19, 11, 0).toISOString() },
+            { key: "dw_unknown", due: new Date(2026, 9, 19, 13, 0).toISOString() },
+            { key: "wm_end", due: new Date(2026, 9, 19, 13, 0).toISOString() }
+        ]));
+        const timers = new PersistentTimers(device);
+        await timers.restore();
+        expect([...device.registry.keys()]).to.eql(["dw_end", "dw_post"]);
+        expect(device.registry.get("dw_end").delay).to.equal(10 * 60000);
+        expect(device.registry.get("dw_post").delay).to.equal(0);
+        expect(device.onTimerRestored).to.have.been.calledWith("end", { lastAboveZeroTs: 1 });
+        expect(JSON.parse(device.states.get("timers")).map(t => t.key)).to.eql(["dw_end", "dw_post"]);
+    });
+
+    it("logs failing handlers and invalid stored timers", async () => {
+        const device = fakeDevice({ end: () => { throw new Error("kaputt"); } });
+        const timers = new PersistentTimers(device);
+        timers.set("end", 0);
+        await device.registry.get("dw_end").callback();
+        expect(device.adapter.log.warn).to.have.been.calledWithMatch("Timer end failed: kaputt");
+        device.states.set("timers", "{");
+        await timers.restore();
+        expect(device.adapter.log.warn).to.have.been.calledWithMatch("not valid JSON");
+    });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const { expect } = require("chai");
+const PowerSignature = require("../lib/PowerSignature");
+
+const MINUTE = 60 * 1000;
+const T0 = new Date(2026, 9, 19, 10).getTime();
+
+// Beispielkurven: Eco heizt spät und kurz, Intensiv früh und lang
+const eco = [50, 50, 50, 50, 2000, 2000, 50, 300, 50, 300];
+const intensiv = [2000, 2000, 2000, 2000, 2000, 2000, 50, 50, 50, 50];
+
+describe("PowerSignature.CurveRecorder", () => {
+    it("records minute averages with values holding until the next sample", () => {
+        const recorder = new PowerSignature.CurveRecorder();
+        recorder.start(100, T0);
+        recorder.addSample(400, T0 + 30 * 1000);
+        recorder.addSample(0, T0 + 2 * MINUTE);
+        expect(recorder.curve(T0 + 3 * MINUTE)).to.eql([250, 400, 0]);
+    });
+
+    it("counts the last partial minute proportionally on finish", () => {
+        const recorder = new PowerSignature.CurveRecorder();
+        recorder.start(600, T0);
+        expect(recorder.finish(T0 + 90 * 1000)).to.eql([600, 600]);
+        expect(recorder.active).to.be.false;
+        expect(recorder.curve(T0 + 2 * MINUTE)).to.eql([]);
+    });
+});
+
+describe("PowerSignature.extractFeatures", () => {
+    it("finds heating phase, spikes and peak", () => {
+        expect(PowerSignature.extractFeatures(eco)).to.include({ minutes: 10, heatStart: 4, heatMinutes: 2, spikes: 3, peak: 2000 });
+        expect(PowerSignature.extractFeatures([]).heatStart).to.equal(0);
+    });
+});
+
+describe("PowerSignature.classify", () => {
+    const signatures = { Eco: [{ curve: eco }], Intensiv: [{ curve: intensiv }] };
+
+    it("recognizes the nearest program with high confidence", () => {
+        const result = PowerSignature.classify(eco.map(p => p + 20), signatures);
+        expect(result.program).to.equal("Eco");
+        expect(result.confidence).to.be.above(PowerSignature.MIN_CONFIDENCE);
+    });
+
+    it("compares only the early phase", () => {
+        expect(PowerSignature.classify(intensiv.slice(0, 6), signatures, 6).program).to.equal("Intensiv");
+    });
+
+    it("returns null for short curves or without signatures", () => {
+        expect(PowerSignature.classify(eco.slice(0, PowerSignature.MIN_MINUTES - 1), signatures)).to.be.null;
+        expect(PowerSignature.classify(eco, {})).to.be.null;
+        expect(PowerSignature.classify(eco, { Eco: [{ curve: [1, 2] }] })).to.be.null;
+    });
+});
+
+describe("PowerSignature.learn", () => {
+    it("adds signatures without mutating the input and keeps the newest five", () => {
+        const before = { Eco: [] };
+        let signatures = PowerSignature.learn(before, "Eco", eco, 120, new Date(T0));
+        expect(before.Eco).to.be.empty;
+        expect(signatures.Eco[0]).to.eql({ curve: eco, runtime: 120, learnedAt: new Date(T0).toISOString() });
+        for (let i = 1; i <= 5; i++) signatures = PowerSignature.learn(signatures, "Eco", eco, i);
+        expect(signatures.Eco.map(s => s.runtime)).to.eql([1, 2, 3, 4, 5]);
+    });
+
+    it("ignores runs without program or with too short curves", () => {
+        expect(PowerSignature.learn({}, "", eco, 1)).to.eql({});
+        expect(PowerSignature.learn(null, "Eco", [1], 1)).to.eql({});
+    });
+});
@@ -0,0 +1,171 @@
+"use strict";
+
+const { expect } = require("chai");
+const PriceOptimizer = require("../lib/PriceOptimizer");
+
+// Feste Tage in Ortszeit, damit die Tests unabhängig von Zeitzone und aktuellem Datum sind
+const at = (h, mi = 0) => new Date(2026, 9, 19, h, mi);
+const hourly = list => list.map((price, i) => ({ startsAt: at(i).toISOString(), total: price }));
+
+describe("PriceOptimizer.buildPriceIntervals", () => {
+    it("gives the last slot the length of its predecessor", () => {
+        const intervals = PriceOptimizer.buildPriceIntervals(hourly([30, 20, 5]));
+        expect(intervals).to.have.lengthOf(3);
+        expect(intervals[2]).to.eql({ start: at(2), end: at(3), price: 5 });
+    });
+
+    it("handles mixed quarter-hour and hourly data", () => {
+        const intervals = PriceOptimizer.buildPriceIntervals([
+            { startsAt: at(0).toISOString(), total: 20 },
+            { startsAt: at(1).toISOString(), total: 10 },
+            { startsAt: at(1, 15).toISOString(), total: 30 }
+        ]);
+        expect(intervals.map(iv => iv.end)).to.eql([at(1), at(1, 15), at(1, 30)]);
+    });
+
+    it("accepts normalized entries and skips invalid ones", () => {
+        const intervals = PriceOptimizer.buildPriceIntervals([
+            { start: at(1), end: at(2), price: 10 },
+            { start: "invalid", price: 5 },
+            { start: at(0), end: at(1), price: "x" },
+            null
+        ]);
+        expect(intervals).to.eql([{ start: at(1), end: at(2), price: 10 }]);
+    });
+});
+
+describe("PriceOptimizer.findCheapestWindow", () => {
+    const prices = hourly([30, 20, 10, 15, 40, 50]);
+
+    it("finds the cheapest window in hourly data", () => {
+        const result = PriceOptimizer.findCheapestWindow(prices, 120, { notBefore: at(0) });
+        expect(result.startTime).to.eql(at(2));
+        expect(result.endTime).to.eql(at(4));
+        expect(result.avgPrice).to.be.closeTo(12.5, 1e-9);
+    });
+
+    it("includes the last price slot", () => {
+        const result = PriceOptimizer.findCheapestWindow(hourly([30, 20, 5]), 60, { notBefore: at(0) });
+        expect(result.startTime).to.eql(at(2));
+        expect(result.endTime).to.eql(at(3));
+    });
+
+    it("finds windows in mixed quarter-hour and hourly data", () => {
+        const mixed = [
+            ...hourly([20, 20]),
+            { startsAt: at(2, 0).toISOString(), total: 5 },
+            { startsAt: at(2, 15).toISOString(), total: 5 },
+            { startsAt: at(2, 30).toISOString(), total: 30 },
+            { startsAt: at(2, 45).toISOString(), total: 30 },
+            { startsAt: at(3).toISOString(), total: 20 }
+        ];
+        const result = PriceOptimizer.findCheapestWindow(mixed, 30, { notBefore: at(0) });
+        expect(result.startTime).to.eql(at(2));
+        expect(result.endTime).to.eql(at(2, 30));
+        expect(result.avgPrice).to.be.closeTo(5, 1e-9);
+    });
+
+    it("starts inside a slot when notBefore is not on a boundary", () => {
+        const result = PriceOptimizer.findCheapestWindow(prices, 60, { notBefore: at(2, 30) });
+        expect(result.startTime).to.eql(at(2, 30));
+        expect(result.avgPrice).to.be.closeTo(12.5, 1e-9);
+    });
+
+    it("respects finishBy", () => {
+        const result = PriceOptimizer.findCheapestWindow(prices, 60, { notBefore: at(0), finishBy: at(2) });
+        expect(result.startTime).to.eql(at(1));
+        expect(result.endTime).to.eql(at(2));
+    });
+
+    it("ends exactly at a finishBy inside a slot", () => {
+        const result = PriceOptimizer.findCheapestWindow(prices, 60, { notBefore: at(0), finishBy: at(2, 30) });
+        expect(result.endTime).to.eql(at(2, 30));
+        expect(result.avgPrice).to.be.closeTo(15, 1e-9);
+    });
+
+    it("returns null when the deadline leaves no room", () => {
+        expect(PriceOptimizer.findCheapestWindow(prices, 120, { notBefore: at(1), finishBy: at(2) })).to.be.null;
+    });
+
+    it("never overlaps excluded intervals", () => {
+        const result = PriceOptimizer.findCheapestWindow(prices, 60, { notBefore: at(0), excluded: [{ start: at(2), end: at(3) }] });
+        expect(result.startTime).to.eql(at(3));
+        expect(result.avgPrice).to.be.closeTo(15, 1e-9);
+    });
+
+    it("starts right after or ends right before an exclusion inside a slot", () => {
+        const after = PriceOptimizer.findCheapestWindow(prices, 60, { notBefore: at(0), excluded: [{ start: at(0), end: at(2, 30) }] });
+        expect(after.startTime).to.eql(at(2, 30));
+        const before = PriceOptimizer.findCheapestWindow(prices, 60, { notBefore: at(0), excluded: [{ start: at(2, 30), end: at(6) }] });
+        expect(before.endTime).to.eql(at(2, 30));
+    });
+
+    it("returns non-overlapping alternatives ranked by price", () => {
+        const result = PriceOptimizer.findCheapestWindow(prices, 120, { notBefore: at(0), maxAlternatives: 2 });
+        expect(result.alternatives).to.have.lengthOf(2);
+        let previous = result.avgPrice;
+        for (const alt of result.alternatives) {
+            expect(alt.avgPrice).to.be.at.least(previous);
+            expect(alt.startTime >= result.endTime || alt.endTime <= result.startTime).to.be.true;
+            previous = alt.avgPrice;
+        }
+    });
+
+    it("rejects windows across gaps in the price data", () => {
+        const gap = [...hourly([10, 10]), { startsAt: at(4).toISOString(), total: 10 }];
+        const result = PriceOptimizer.findCheapestWindow(gap, 120, { notBefore: at(0) });
+        expect(result.startTime).to.eql(at(0));
+        expect(result.alternatives).to.be.empty;
+    });
+
+    it("returns null without enough price data", () => {
+        expect(PriceOptimizer.findCheapestWindow(prices, 600, { notBefore: at(0) })).to.be.null;
+        expect(PriceOptimizer.findCheapestWindow([], 60, { notBefore: at(0) })).to.be.null;
+        expect(PriceOptimizer.findCheapestWindow(prices, 0, { notBefore: at(0) })).to.be.null;
+    });
+});
+
+describe("PriceOptimizer.capacityExclusions", () => {
+    const reservations = [
+        { start: at(1), end: at(3), power: 2000 },
+        { start: at(2), end: at(4), power: 1500 }
+    ];
+
+    it("blocks where reserved plus own power exceeds the limit", () => {
+        expect(PriceOptimizer.capacityExclusions(reservations, 1000, 3000)).to.eql([{ start: at(2), end: at(3) }]);
+    });
+
+    it("merges adjacent blocked ranges", () => {
+        expect(PriceOptimizer.capacityExclusions(reservations, 2000, 3000)).to.eql([{ start: at(1), end: at(4) }]);
+    });
+
+    it("returns nothing without limit, own power or reservations", () => {
+        expect(PriceOptimizer.capacityExclusions(reservations, 1000, 0)).to.eql([]);
+        expect(PriceOptimizer.capacityExclusions(reservations, 0, 3000)).to.eql([]);
+        expect(PriceOptimizer.capacityExclusions([], 1000, 3000)).to.eql([]);
+    });
+});
+
+describe("PriceOptimizer.priceAt", () => {
+    it("returns the price of the slot containing the time", () => {
+        const prices = hourly([30, 20]);
+        expect(PriceOptimizer.priceAt(prices, at(0, 59))).to.equal(30);
+        expect(PriceOptimizer.priceAt(prices, at(1))).to.equal(20);
+        expect(PriceOptimizer.priceAt(prices, at(2))).to.be.null;
+    });
+});
+
+describe("PriceOptimizer.averagePrice", () => {
+    const prices = hourly([30, 20, 10]);
+
+    it("averages a fixed window across slot boundaries", () => {
+        expect(PriceOptimizer.averagePrice(prices, at(0, 30), at(1, 30))).to.be.closeTo(25, 1e-9);
+        expect(PriceOptimizer.averagePrice(prices, at(1), at(3))).to.be.closeTo(15, 1e-9);
+    });
+
+    it("returns null for gaps, empty windows or missing data", () => {
+        expect(PriceOptimizer.averagePrice(prices, at(2), at(4))).to.be.null;
+        expect(PriceOptimizer.averagePrice(prices, at(1), at(1))).to.be.null;
+        expect(PriceOptimizer.averagePrice([], at(0), at(1))).to.be.null;
+    });
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { TibberPriceProvider, JsonStatePriceProvider, createPriceProvider } = require("../lib/PriceProvider");
+
+const at = (h, mi = 0) => new Date(2026, 9, 19, h, mi);
+
+// Adapter-Attrappe: Foreign-States aus einer Map, Log als Spies
+function fakeAdapter(states = {}) {
+    return {
+        states: new Map(Object.entries(states)),
+        log: { debug: sinon.spy(), warn: sinon.spy() },
+        async getForeignStateAsync(id) {
+            return this.states.get(id) || null;
+        }
+    };
+}
+const state = (val, ts = 1) => ({ val: JSON.stringify(val), ts });
+
+describe("TibberPriceProvider", () => {
+    const today = [{ startsAt: at(0).toISOString(), total: 0.3 }, { startsAt: at(1).toISOString(), total: 0.2 }];
+    const tomorrow = [{ startsAt: at(2).toISOString(), total: 0.1 }];
+
+    it("reads today and tomorrow from the configured tibberlink instance", async () => {
+        const adapter = fakeAdapter({
+            "tibberlink.1.Homes.h1.PricesToday.json": state(today),
+            "tibberlink.1.Homes.h1.PricesTomorrow.json": state(tomorrow)
+        });
+        const prices = await new TibberPriceProvider(adapter, { tibberInstance: "tibberlink.1", tibberHome: "h1" }).getPrices();
+        expect(prices).to.eql([
+            { start: at(0), end: at(1), price: 0.3 },
+            { start: at(1), end: at(2), price: 0.2 },
+            { start: at(2), end: at(3), price: 0.1 }
+        ]);
+    });
+
+    it("rejects without home or price data", async () => {
+        await expect(new TibberPriceProvider(fakeAdapter(), {}).getPrices()).to.be.rejectedWith("not configured");
+        await expect(new TibberPriceProvider(fakeAdapter(), { tibberHome: "h1" }).getPrices()).to.be.rejectedWith("not available");
+    });
+
+    it("caches until a source state changes", async () => {
+        const id = "tibberlink.0.Homes.h1.PricesToday.json";
+        const adapter = fakeAdapter({ [id]: state(today) });
+        const provider = new TibberPriceProvider(adapter, { tibberHome: "h1" });
+        const first = await provider.getPrices();
+        expect(await provider.getPrices()).to.equal(first);
+        adapter.states.set(id, state(tomorrow, 2));
+        expect(await provider.getPrices()).to.have.lengthOf(1);
+    });
+});
+
+describe("JsonStatePriceProvider", () => {
+    it("maps fields, array path, epoch timestamps and price factor", async () => {
+        const adapter = fakeAdapter({
+            "0_userdata.0.prices": state({ data: [
+                { from: at(0).getTime(), to: at(1).getTime(), value: { total: 250 } },
+                { from: at(1).getTime() / 1000, to: at(1, 15).getTime() / 1000, value: { total: 100 } }
+            ] })
+        });
+        const provider = new JsonStatePriceProvider(adapter, {
+            priceStateIds: "0_userdata.0.prices", priceArrayPath: "data",
+            priceFieldStart: "from", priceFieldEnd: "to", priceFieldPrice: "value.total", priceFactor: 0.001
+        });
+        const prices = await provider.getPrices();
+        expect(prices.map(p => [p.start, p.end])).to.eql([[at(0), at(1)], [at(1), at(1, 15)]]);
+        expect(prices[0].price).to.be.closeTo(0.25, 1e-9);
+        expect(prices[1].price).to.be.closeTo(0.1, 1e-9);
+    });
+
+    it("drops invalid entries with a warning", async () => {
+        const adapter = fakeAdapter({
+            "a.0.prices": state([{ start: at(0).toISOString(), price: 0.2 }, { start: "kaputt", price: 0.1 }, { start: at(1).toISOString() }])
+        });
+        const prices = await new JsonStatePriceProvider(adapter, { priceStateIds: "a.0.prices" }).getPrices();
+        expect(prices).to.have.lengthOf(1);
+        expect(adapter.log.warn).to.have.been.calledWithMatch("ignored 2 invalid");
+    });
+
+    it("rejects data that is not an array", async () => {
+        const adapter = fakeAdapter({ "a.0.prices": state({ data: [] }) });
+        await expect(new JsonStatePriceProvider(adapter, { priceStateIds: "a.0.prices" }).getPrices()).to.be.rejectedWith("expected an array");
+    });
+});
+
+describe("createPriceProvider", () => {
+    it("selects the provider by priceSource and falls back to Tibber", () => {
+        const adapter = fakeAdapter();
+        expect(createPriceProvider(adapter, { priceSource: "jsonState" })).to.be.instanceOf(JsonStatePriceProvider);
+        expect(createPriceProvider(adapter, {})).to.be.instanceOf(TibberPriceProvider);
+        expect(createPriceProvider(adapter, { priceSource: "awattar" })).to.be.instanceOf(TibberPriceProvider);
+        expect(adapter.log.warn).to.have.been.calledOnce;
+    });
+});
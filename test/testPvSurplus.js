@@ -0,0 +1,68 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PvSurplus = require("../lib/PvSurplus");
+
+const at = (h, mi = 0) => new Date(2026, 9, 19, h, mi);
+const prices = [{ start: at(12), end: at(13), price: 0.3 }, { start: at(13), end: at(14), price: 0.4 }];
+
+function fakeAdapter(states = {}) {
+    return {
+        log: { warn: sinon.spy() },
+        async getForeignStateAsync(id) {
+            return id in states ? { val: states[id] } : null;
+        }
+    };
+}
+
+describe("PvSurplus.effectivePrices", () => {
+    it("charges the feed-in tariff for the covered share and splits slots at surplus boundaries", () => {
+        const surplus = [{ start: at(12, 30), end: at(13), power: 1000 }];
+        const result = PvSurplus.effectivePrices(prices, surplus, 2000, 0.08);
+        expect(result.map(r => [r.start, r.end])).to.eql([[at(12), at(12, 30)], [at(12, 30), at(13)], [at(13), at(14)]]);
+        expect(result[0].price).to.be.closeTo(0.3, 1e-9);
+        expect(result[1].price).to.be.closeTo(0.5 * 0.08 + 0.5 * 0.3, 1e-9);
+        expect(result[2].price).to.be.closeTo(0.4, 1e-9);
+    });
+
+    it("caps the share at the full device power", () => {
+        const result = PvSurplus.effectivePrices(prices, [{ start: at(12), end: at(14), power: 5000 }], 2000, 0.08);
+        expect(result.map(r => r.price)).to.eql([0.08, 0.08]);
+    });
+
+    it("returns the grid prices without surplus or device power", () => {
+        expect(PvSurplus.effectivePrices(prices, [], 2000, 0.08)).to.eql(prices);
+        expect(PvSurplus.effectivePrices(prices, [{ start: at(12), end: at(13), power: 1000 }], 0, 0.08)).to.eql(prices);
+    });
+});
+
+describe("PvSurplus", () => {
+    it("maps the forecast with factor and base load", async () => {
+        const forecast = [{ t: at(12).toISOString(), w: 3 }, { t: at(13).toISOString(), w: 0.1 }];
+        const pv = new PvSurplus(fakeAdapter({ "pv.0.forecast": JSON.stringify(forecast) }), {
+            pvForecastStateId: "pv.0.forecast", pvForecastFieldStart: "t", pvForecastFieldPower: "w", pvForecastFactor: 1000, pvBaseLoad: 300
+        });
+        expect(await pv.getForecast()).to.eql([
+            { start: at(12), end: at(13), power: 2700 },
+            { start: at(13), end: at(14), power: 0 }
+        ]);
+    });
+
+    it("reads and optionally inverts the live surplus", async () => {
+        expect(await new PvSurplus(fakeAdapter({ "meter.0.grid": -1200 }), { pvSurplusStateId: "meter.0.grid", pvSurplusInvert: true }).getLiveSurplus()).to.equal(1200);
+        expect(await new PvSurplus(fakeAdapter({ "meter.0.grid": "n/a" }), { pvSurplusStateId: "meter.0.grid" }).getLiveSurplus()).to.be.null;
+        expect(await new PvSurplus(fakeAdapter(), {}).getLiveSurplus()).to.be.null;
+    });
+
+    it("uses the live surplus until the end of the current slot without forecast", async () => {
+        const pv = new PvSurplus(fakeAdapter({ "meter.0.surplus": 2000 }), { pvSurplusStateId: "meter.0.surplus", feedInTariff: 0.1 });
+        const result = await pv.getEffectivePrices(prices, 2000, at(12, 15));
+        expect(result[1]).to.eql({ start: at(12, 15), end: at(13), price: 0.1 });
+    });
+
+    it("is enabled only with pvEnabled and an input state", () => {
+        expect(new PvSurplus(fakeAdapter(), { pvEnabled: true }).enabled).to.be.false;
+        expect(new PvSurplus(fakeAdapter(), { pvEnabled: true, pvSurplusStateId: "a" }).enabled).to.be.true;
+    });
+});
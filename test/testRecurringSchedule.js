@@ -0,0 +1,105 @@
+"use strict";
+
+const { expect } = require("chai");
+const RecurringSchedule = require("../lib/RecurringSchedule");
+
+// 2026-10-19 ist ein Montag (Ortszeit)
+const at = (day, h, mi = 0) => new Date(2026, 9, day, h, mi);
+const night = { rule: "nacht", device: "dw", days: "Mo-Fr", notBefore: "22:00", finishBy: "06:30" };
+
+describe("RecurringSchedule.occurrenceWindow", () => {
+    it("moves finishBy to the next day when it is not after notBefore", () => {
+        expect(RecurringSchedule.occurrenceWindow(night, at(19, 0))).to.eql({
+            key: "2026-10-19", notBefore: at(19, 22), finishBy: at(20, 6, 30)
+        });
+    });
+
+    it("uses the 24 hours before finishBy without notBefore", () => {
+        const occurrence = RecurringSchedule.occurrenceWindow({ finishBy: "06:30" }, at(19, 0));
+        expect(occurrence.notBefore).to.eql(at(18, 6, 30));
+        expect(occurrence.finishBy).to.eql(at(19, 6, 30));
+    });
+
+    it("runs until midnight with notBefore only and covers the whole day without times", () => {
+        expect(RecurringSchedule.occurrenceWindow({ notBefore: "18:00" }, at(19, 0)).finishBy).to.eql(at(20, 0));
+        const occurrence = RecurringSchedule.occurrenceWindow({}, at(19, 0));
+        expect(occurrence.notBefore).to.eql(at(19, 0));
+        expect(occurrence.finishBy).to.eql(at(20, 0));
+    });
+});
+
+describe("RecurringSchedule.nextOccurrence", () => {
+    it("still returns the previous day's occurrence while it can finish in time", () => {
+        expect(RecurringSchedule.nextOccurrence(night, 120, at(20, 4)).key).to.equal("2026-10-19");
+    });
+
+    it("moves on once the run can no longer finish by finishBy", () => {
+        expect(RecurringSchedule.nextOccurrence(night, 120, at(20, 5)).key).to.equal("2026-10-20");
+    });
+
+    it("returns only occurrences after the given key", () => {
+        expect(RecurringSchedule.nextOccurrence(night, 120, at(20, 4), "2026-10-20").key).to.equal("2026-10-21");
+    });
+
+    it("skips days not covered by the rule", () => {
+        expect(RecurringSchedule.nextOccurrence(night, 120, at(23, 23)).key).to.equal("2026-10-23");
+        expect(RecurringSchedule.nextOccurrence(night, 120, at(23, 23), "2026-10-23").key).to.equal("2026-10-26");
+    });
+
+    it("returns null for invalid days", () => {
+        expect(RecurringSchedule.nextOccurrence({ ...night, days: "Funday" }, 120, at(19, 0))).to.be.null;
+    });
+});
+
+describe("RecurringSchedule.validateRule", () => {
+    it("reports the first invalid field", () => {
+        expect(RecurringSchedule.validateRule(night)).to.be.null;
+        expect(RecurringSchedule.validateRule({ ...night, device: "" }).vars).to.eql({ parameter: "device" });
+        expect(RecurringSchedule.validateRule({ ...night, finishBy: "25:00" }).key).to.equal("command.invalidTime");
+        expect(RecurringSchedule.validateRule({ ...night, durationMinutes: -5 }).key).to.equal("command.invalidRuleDuration");
+    });
+});
+
+// Adapter-Attrappe: Regeln aus der Konfiguration, States in einer Map
+function fakeAdapter(configRules = [], states = {}) {
+    const map = new Map(Object.entries(states));
+    return {
+        config: { recurringRules: configRules },
+        log: { warn() {} },
+        states: map,
+        async getStateAsync(id) { return map.has(id) ? { val: map.get(id) } : null; },
+        async setStateAsync(id, val) { map.set(id, val); }
+    };
+}
+
+describe("RecurringScheduler rule storage", () => {
+    it("merges configured and stored rules, the configuration wins on equal keys", async () => {
+        const adapter = fakeAdapter([night], {
+            recurringRules: JSON.stringify([{ ...night, days: "Sa" }, { rule: "wochenende", device: "wm", days: "Sa,So" }])
+        });
+        const scheduler = new RecurringSchedule.RecurringScheduler(adapter);
+        await scheduler.loadRules();
+        expect(scheduler.getRules().map(r => [r.rule, r.days])).to.eql([["nacht", "Mo-Fr"], ["wochenende", "Sa,So"]]);
+        expect(scheduler.isConfigRule("nacht")).to.be.true;
+        expect(scheduler.isConfigRule("wochenende")).to.be.false;
+    });
+
+    it("ignores invalid stored rules", async () => {
+        const scheduler = new RecurringSchedule.RecurringScheduler(fakeAdapter([], { recurringRules: "{kaputt" }));
+        await scheduler.loadRules();
+        expect(scheduler.getRules()).to.eql([]);
+    });
+
+    it("writes saved and deleted rules to the state and forgets their runtime status", async () => {
+        const adapter = fakeAdapter([], { recurring: JSON.stringify({ nacht: { paused: true } }) });
+        const scheduler = new RecurringSchedule.RecurringScheduler(adapter);
+        await scheduler.loadRules();
+        await scheduler.saveRule(night);
+        await scheduler.saveRule({ ...night, finishBy: "07:00" });
+        expect(JSON.parse(adapter.states.get("recurringRules"))).to.eql([{ ...night, finishBy: "07:00" }]);
+        await scheduler.deleteRule("nacht");
+        expect(adapter.states.get("recurringRules")).to.equal("[]");
+        expect(adapter.states.get("recurring")).to.equal("{}");
+        expect(adapter.config.recurringRules).to.eql([]);
+    });
+});
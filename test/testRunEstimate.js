@@ -0,0 +1,60 @@
+"use strict";
+
+const { expect } = require("chai");
+const RunEstimate = require("../lib/RunEstimate");
+
+const MIN = 60000;
+const run = (program, minutes, heatingPhases, heatEndMinute) => ({ program, runtime: minutes * MIN, heatingPhases, heatEndMinute });
+
+describe("RunEstimate.heatingPhases", () => {
+    it("counts only completed heating phases", () => {
+        expect(RunEstimate.heatingPhases([50, 2000, 2000, 50, 1500, 40, 2000])).to.eql({ count: 2, lastEnd: 5 });
+        expect(RunEstimate.heatingPhases([2000, 2000])).to.eql({ count: 0, lastEnd: null });
+        expect(RunEstimate.heatingPhases(null)).to.eql({ count: 0, lastEnd: null });
+    });
+});
+
+describe("RunEstimate.learnedProfile", () => {
+    it("averages duration and tail after the last heating phase per program", () => {
+        const entries = [run("Eco", 120, 1, 80), run("Eco", 100, 1, 70), run("Kurz", 30)];
+        expect(RunEstimate.learnedProfile(entries, "Eco")).to.eql({ count: 2, minutes: 110, heatingPhases: 1, tailMinutes: 35 });
+    });
+
+    it("skips the tail when the number of heating phases differs", () => {
+        const profile = RunEstimate.learnedProfile([run("Eco", 120, 1, 80), run("Eco", 100, 2, 70)], "Eco");
+        expect(profile).to.include({ heatingPhases: null, tailMinutes: null });
+        expect(RunEstimate.learnedProfile([run("Eco", 120)], "Intensiv")).to.be.null;
+    });
+});
+
+describe("RunEstimate.estimate", () => {
+    it("uses the planned duration without history", () => {
+        expect(RunEstimate.estimate({ elapsedMinutes: 30, plannedMinutes: 120 }))
+            .to.eql({ totalMinutes: 120, remainingMinutes: 90, progress: 25, basis: "planned" });
+    });
+
+    it("weights the learned duration against the planned one", () => {
+        const result = RunEstimate.estimate({ elapsedMinutes: 30, plannedMinutes: 120, profile: { count: 5, minutes: 150, tailMinutes: null } });
+        expect(result.basis).to.equal("learned");
+        expect(result.totalMinutes).to.be.closeTo(145, 1e-9);
+        expect(RunEstimate.estimate({ elapsedMinutes: 0, profile: { count: 1, minutes: 100, tailMinutes: null } }).totalMinutes).to.equal(100);
+    });
+
+    it("uses the typical tail once the last heating phase is over", () => {
+        const profile = { count: 3, minutes: 100, heatingPhases: 1, tailMinutes: 40 };
+        const result = RunEstimate.estimate({ elapsedMinutes: 10, profile, curve: [2000, 2000, 50, 50, 50] });
+        expect(result).to.include({ remainingMinutes: 32, basis: "phase" });
+    });
+
+    it("keeps a small remainder on overrun and follows the finishing check", () => {
+        const overrun = RunEstimate.estimate({ elapsedMinutes: 70, plannedMinutes: 60 });
+        expect(overrun.remainingMinutes).to.be.closeTo(3, 1e-9);
+        expect(overrun.progress).to.be.below(99);
+        expect(RunEstimate.estimate({ elapsedMinutes: 70, plannedMinutes: 60, finishingMinutes: 0.5 }))
+            .to.include({ remainingMinutes: 0.5, basis: "finishing" });
+    });
+
+    it("returns null without any duration", () => {
+        expect(RunEstimate.estimate({ elapsedMinutes: 10 })).to.be.null;
+    });
+});
@@ -0,0 +1,48 @@
+"use strict";
+
+const { expect } = require("chai");
+const RunHistory = require("../lib/RunHistory");
+
+const iso = (month, day, h = 10) => new Date(2026, month - 1, day, h).toISOString();
+const entries = [
+    { start: iso(9, 30), program: "eco", scheduled: true, runtime: 120 * 60000, energy: 1, cost: 0.2 },
+    { start: iso(10, 1), program: "eco", scheduled: false, runtime: 100 * 60000, energy: 0.8, cost: 0.24 },
+    { start: iso(10, 2), program: "", scheduled: true, runtime: 60 * 60000 }
+];
+
+describe("RunHistory.appendEntry", () => {
+    it("drops the oldest entries beyond maxEntries without changing the input", () => {
+        const list = RunHistory.appendEntry(entries, { start: iso(10, 3) }, 2);
+        expect(list.map(e => e.start)).to.eql([iso(10, 2), iso(10, 3)]);
+        expect(entries).to.have.lengthOf(3);
+        expect(RunHistory.appendEntry(null, { start: iso(10, 3) })).to.have.lengthOf(1);
+    });
+});
+
+describe("RunHistory.filterEntries", () => {
+    it("filters by program, period and scheduled flag", () => {
+        expect(RunHistory.filterEntries(entries, { program: "eco" })).to.have.lengthOf(2);
+        expect(RunHistory.filterEntries(entries, { from: iso(10, 1, 0) })).to.have.lengthOf(2);
+        expect(RunHistory.filterEntries(entries, { to: iso(10, 1, 0) })).to.have.lengthOf(1);
+        expect(RunHistory.filterEntries(entries, { scheduled: true }).map(e => e.start)).to.eql([iso(9, 30), iso(10, 2)]);
+    });
+
+    it("keeps the newest entries for limit", () => {
+        expect(RunHistory.filterEntries(entries, { limit: 1 })[0].start).to.equal(iso(10, 2));
+    });
+});
+
+describe("RunHistory.computeStatistics", () => {
+    it("aggregates per program and month", () => {
+        const stats = RunHistory.computeStatistics(entries);
+        expect(stats.runs).to.equal(3);
+        expect(stats.totalEnergyKWh).to.equal(1.8);
+        expect(stats.totalCost).to.equal(0.44);
+        expect(stats.programs.eco).to.eql({ count: 2, avgRuntimeMinutes: 110, avgEnergyKWh: 0.9, avgCost: 0.22 });
+        expect(stats.programs.unknown).to.eql({ count: 1, avgRuntimeMinutes: 60, avgEnergyKWh: null, avgCost: null });
+        expect(stats.months).to.eql({
+            "2026-09": { count: 1, energyKWh: 1, cost: 0.2 },
+            "2026-10": { count: 2, energyKWh: 0.8, cost: 0.24 }
+        });
+    });
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+const { expect } = require("chai");
+const TimeParser = require("../lib/TimeParser");
+
+// Bezugszeitpunkt in Ortszeit: 19.10.2026 20:00
+const now = new Date(2026, 9, 19, 20, 0);
+
+describe("TimeParser.parseTimeOfDay", () => {
+    it("parses HH:MM and rejects invalid times", () => {
+        expect(TimeParser.parseTimeOfDay("7:05")).to.eql({ h: 7, mi: 5 });
+        expect(TimeParser.parseTimeOfDay(" 23:59 ")).to.eql({ h: 23, mi: 59 });
+        expect(TimeParser.parseTimeOfDay("24:00")).to.be.null;
+        expect(TimeParser.parseTimeOfDay("12:60")).to.be.null;
+        expect(TimeParser.parseTimeOfDay("morgen")).to.be.null;
+    });
+});
+
+describe("TimeParser.parseDateInput", () => {
+    it("moves a time of day that has passed to tomorrow", () => {
+        expect(TimeParser.parseDateInput("19:00", now)).to.eql(new Date(2026, 9, 20, 19, 0));
+        expect(TimeParser.parseDateInput("21:30", now)).to.eql(new Date(2026, 9, 19, 21, 30));
+    });
+
+    it("parses German and ISO dates", () => {
+        expect(TimeParser.parseDateInput("24.12.2026 18:30", now)).to.eql(new Date(2026, 11, 24, 18, 30));
+        expect(TimeParser.parseDateInput("2026-10-21T06:00:00.000Z", now)).to.eql(new Date("2026-10-21T06:00:00.000Z"));
+        expect(TimeParser.parseDateInput("irgendwann", now)).to.be.null;
+        expect(TimeParser.parseDateInput(42, now)).to.be.null;
+    });
+});
+
+describe("TimeParser.parseEarliestStart", () => {
+    it("keeps a time of day on the current day even if it has passed", () => {
+        expect(TimeParser.parseEarliestStart("08:00", now)).to.eql(new Date(2026, 9, 19, 8, 0));
+        expect(TimeParser.parseEarliestStart("", now)).to.be.null;
+    });
+});
+
+describe("TimeParser.parseDeadline", () => {
+    it("uses the next occurrence after the reference", () => {
+        expect(TimeParser.parseDeadline("07:00", now)).to.eql(new Date(2026, 9, 20, 7, 0));
+        expect(TimeParser.parseDeadline("22:00", now)).to.eql(new Date(2026, 9, 19, 22, 0));
+        expect(TimeParser.parseDeadline(null, now)).to.be.null;
+    });
+});
+
+describe("TimeParser.quietHoursEnd", () => {
+    it("returns the end of quiet hours spanning midnight", () => {
+        expect(TimeParser.quietHoursEnd("22:00", "07:00", new Date(2026, 9, 19, 23, 0))).to.eql(new Date(2026, 9, 20, 7, 0));
+        expect(TimeParser.quietHoursEnd("22:00", "07:00", new Date(2026, 9, 20, 6, 59))).to.eql(new Date(2026, 9, 20, 7, 0));
+        expect(TimeParser.quietHoursEnd("22:00", "07:00", now)).to.be.null;
+    });
+
+    it("handles quiet hours within a day and ignores invalid ranges", () => {
+        expect(TimeParser.quietHoursEnd("12:00", "14:00", new Date(2026, 9, 19, 13, 0))).to.eql(new Date(2026, 9, 19, 14, 0));
+        expect(TimeParser.quietHoursEnd("12:00", "14:00", new Date(2026, 9, 19, 14, 0))).to.be.null;
+        expect(TimeParser.quietHoursEnd("12:00", "12:00", now)).to.be.null;
+        expect(TimeParser.quietHoursEnd("", "07:00", now)).to.be.null;
+    });
+});
+
+describe("TimeParser.parseDays", () => {
+    it("parses ranges, lists, ISO numbers and groups", () => {
+        expect([...TimeParser.parseDays("Mo-Fr")]).to.eql([1, 2, 3, 4, 5]);
+        expect([...TimeParser.parseDays("Fr - Mo")]).to.eql([5, 6, 0, 1]);
+        expect([...TimeParser.parseDays("Sa,So")]).to.eql([6, 0]);
+        expect([...TimeParser.parseDays("7")]).to.eql([0]);
+        expect(TimeParser.parseDays("").size).to.equal(7);
+        expect(TimeParser.parseDays("werktags").size).to.equal(5);
+        expect(TimeParser.parseDays("Funday")).to.be.null;
+    });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { TodoistTasks, parseSubtasks } = require("../lib/TodoistTasks");
+const { Messages } = require("../lib/Messages");
+
+// Gerät mit Adapter-Attrappe: States in einer Map, ToDoist-Aufrufe als Stubs mit fortlaufenden IDs
+function fakeDevice(config = {}) {
+    const states = new Map();
+    let nextId = 100;
+    const adapter = {
+        config: { todoistEnabled: true, ...config },
+        messages: new Messages("de"),
+        log: { warn: sinon.spy() },
+        createTodoistTask: sinon.stub().callsFake(async () => ({ id: nextId++ })),
+        closeTodoistTask: sinon.stub().resolves()
+    };
+    return {
+        id: "wm", name: "Waschmaschine", type: "washingmachine", adapter, states,
+        async getStateAsync(name) { return states.has(name) ? { val: states.get(name) } : null; },
+        async setStateAsync(name, val) { states.set(name, val); }
+    };
+}
+
+describe("TodoistTasks.parseSubtasks", () => {
+    it("parses subtasks with optional close event", () => {
+        expect(parseSubtasks("Gewaschen@finish; Entfusselt, Mail@home")).to.eql([
+            { name: "Gewaschen", closeOn: "finish" },
+            { name: "Entfusselt", closeOn: "" },
+            { name: "Mail@home", closeOn: "" }
+        ]);
+    });
+});
+
+describe("TodoistTasks", () => {
+    it("uses the default templates matched by device type", () => {
+        expect(new TodoistTasks(fakeDevice()).getTemplates().map(t => t.key)).to.eql(["laundry"]);
+    });
+
+    it("creates tasks with subtasks and closes them on their events", async () => {
+        const device = fakeDevice();
+        const tasks = new TodoistTasks(device);
+        await tasks.handleEvent("start");
+        expect(device.adapter.createTodoistTask).to.have.callCount(6);
+        expect(device.adapter.createTodoistTask.secondCall.args[0]).to.include({ content: "Gewaschen", parentId: 100, order: 1 });
+        let stored = JSON.parse(device.states.get("todoistTasks"));
+        expect(stored.laundry.subtasks).to.include({ Gewaschen: "101", Getrocknet: "102" });
+
+        await tasks.handleEvent("finish");
+        expect(device.adapter.closeTodoistTask).to.have.been.calledOnceWith("101");
+        stored = JSON.parse(device.states.get("todoistTasks"));
+        expect(stored.laundry.subtasks).to.not.have.property("Gewaschen");
+    });
+
+    it("closes the main task on closeOn and passes labels and due date", async () => {
+        const device = fakeDevice({
+            todoistTemplates: [{ device: "wm", key: "k", content: "{device}: {program}", labels: "haus, wäsche", dueOffsetMinutes: 30, createOn: "finish", closeOn: "doorOpened" }]
+        });
+        const tasks = new TodoistTasks(device);
+        await tasks.handleEvent("finish", { program: "60" });
+        const args = device.adapter.createTodoistTask.firstCall.args[0];
+        expect(args).to.include({ content: "Waschmaschine: 60" });
+        expect(args.labels).to.eql(["haus", "wäsche"]);
+        expect(args.dueString).to.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+
+        await tasks.handleEvent("doorOpened");
+        expect(device.adapter.closeTodoistTask).to.have.been.calledOnceWith("100");
+        expect(JSON.parse(device.states.get("todoistTasks"))).to.eql({});
+    });
+
+    it("does nothing while ToDoist is disabled", async () => {
+        const device = fakeDevice({ todoistEnabled: false });
+        await new TodoistTasks(device).handleEvent("start");
+        expect(device.adapter.createTodoistTask).to.not.have.been.called;
+    });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+const { expect } = require("chai");
+const WashingMachineDevice = require("../lib/WashingMachineDevice");
+
+const washingPrograms = [
+    { program: "60", duration: 180, withDryer: true },
+    { program: 40, duration: 120 },
+    { device: "wm2", program: "60", duration: 150, dryerDuration: 90, dryLevel: "schranktrocken" },
+    { device: "Keller", program: "Wolle", duration: 45 },
+    { program: "" }
+];
+
+const machine = (config, adapterConfig = {}) =>
+    new WashingMachineDevice({ config: { washingPrograms, ...adapterConfig } }, { type: "washing_machine", ...config });
+
+describe("WashingMachineDevice programs", () => {
+    it("lists general programs plus its own, matched by id or name", () => {
+        expect(machine({ id: "wm1", name: "Bad" }).getWashingPrograms().map(p => p.program)).to.eql(["60", "40"]);
+        expect(machine({ id: "wm3", name: "keller" }).getWashingPrograms().map(p => p.program)).to.eql(["60", "40", "Wolle"]);
+    });
+
+    it("lets device-specific entries override general ones", () => {
+        const program = machine({ id: "wm2", name: "Keller" }).getWashingPrograms().find(p => p.program === "60");
+        expect(program).to.include({ duration: 150, dryLevel: "schranktrocken" });
+        expect(program).to.not.have.property("own");
+    });
+
+    it("resolves the dryer duration from program, machine and global config", () => {
+        expect(machine({ id: "wm2", name: "x" }).findWashingProgram("60").dryerDuration).to.equal(90);
+        expect(machine({ id: "wm1", name: "x", dryerDuration: 120 }).findWashingProgram("60").dryerDuration).to.equal(120);
+        expect(machine({ id: "wm1", name: "x" }, { dryerDuration: 100 }).findWashingProgram(60).dryerDuration).to.equal(100);
+        expect(machine({ id: "wm1", name: "x" }).findWashingProgram("40")).to.eql({
+            program: "40", duration: 120, withDryer: false, dryerDuration: 180, dryLevel: ""
+        });
+        expect(machine({ id: "wm1", name: "x" }).findWashingProgram("90")).to.be.null;
+    });
+});
+
+describe("WashingMachineDevice.performScheduledStart", () => {
+    const adapter = running => ({
+        config: {},
+        log: { warn() {}, debug() {} },
+        getStateAsync: async id => (id.endsWith(".running") ? { val: running } : null),
+        getForeignStateAsync: async () => ({ val: 0 }),
+        setForeignStateAsync: async () => {},
+        setApplianceTimer() {}
+    });
+    const wm = (running, config = {}) =>
+        new WashingMachineDevice(adapter(running), { id: "wm", name: "WM", type: "washing_machine", powerStateId: "a.0.power", ...config });
+
+    it("reports whether a start was triggered", async () => {
+        expect(await wm(true, { switchStateId: "a.0.plug" }).performScheduledStart()).to.be.false;
+        expect(await wm(false, { switchStateId: "a.0.plug" }).performScheduledStart()).to.be.true;
+        expect(await wm(false).performScheduledStart()).to.be.false;
+    });
+});